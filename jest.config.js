@@ -2,4 +2,6 @@
 export default {
     testMatch: ["**/test/**/*.test.js"],
     transform: {},
+    globalSetup: "<rootDir>/test/globalSetup.js",
+    globalTeardown: "<rootDir>/test/globalTeardown.js",
 };
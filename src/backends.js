@@ -0,0 +1,146 @@
+import fs from "fs";
+import path from "path";
+import { setTimeout as sleep } from "timers/promises";
+import { pathToFileURL } from "url";
+
+/**
+ * An execution backend runs the generated Luau script against a place file.
+ *
+ * The backend writes everything the script prints to `context.out`. Results are streamed to
+ * reporters while the script runs only if the backend appends output as it arrives; otherwise
+ * they are all reported once the backend has written the log.
+ * It resolves with the exit code of the execution (0 for success).
+ *
+ * @typedef {object} LuauBackend
+ * @property {string} name The name of the backend, used in messages.
+ * @property {(script: string, context: LuauBackendContext) => Promise<number>} run Runs the script.
+ */
+
+/**
+ * @typedef {object} LuauBackendContext
+ * @property {string} place The path to the place file to run the script in.
+ * @property {string} timeout The time before the run is aborted, formatted as `<number>[s|m|h]`.
+ * @property {string} out The path of the log file that the script's output must be written to.
+ * @property {object} jestOptions The options the script runs Jest with.
+ * @property {AbortSignal} [signal] Aborted when the run is no longer needed, e.g. after a bail in another worker.
+ * Backends should stop the script, or at least stop waiting for it; output written after it is discarded.
+ */
+
+/**
+ * Runs scripts through Roblox Open Cloud using rbxluau. This is the default backend.
+ *
+ * rbxluau writes the output of a task to `out` only once the task has finished, and cannot
+ * cancel a task. When the signal is aborted, the backend stops waiting for its task, which
+ * keeps running in the cloud until it finishes or times out.
+ * @type {LuauBackend}
+ */
+export const openCloudBackend = {
+    name: "opencloud",
+    async run(script, { place, timeout, out, signal }) {
+        // Loaded lazily so other backends work without Open Cloud credentials or rbxluau
+        const { executeLuau } = await import("rbxluau");
+        if (signal?.aborted) return 1;
+        const execution = executeLuau(script, {
+            place,
+            silent: true,
+            exit: false,
+            timeout,
+            out,
+        });
+        if (!signal) return await execution;
+
+        let onAbort;
+        const aborted = new Promise((resolve) => {
+            onAbort = () => resolve(1);
+            signal.addEventListener("abort", onAbort, { once: true });
+        });
+        try {
+            return await Promise.race([execution, aborted]);
+        } finally {
+            signal.removeEventListener("abort", onAbort);
+        }
+    },
+};
+
+/**
+ * Creates a backend that serves recorded output logs instead of running the script.
+ * A recorded log is the output of a previous run, such as the `luau_output_debug*.log`
+ * files kept in the cache directory by `--debug`.
+ * @param {string | ((context: LuauBackendContext) => string)} fixture The recorded log file, or a function choosing one for each run.
+ * @param {{ exitCode?: number, lineDelayMs?: number }} settings The exit code to report, and an optional delay between written lines to simulate a live run.
+ * @returns {LuauBackend} The fixture backend.
+ */
+export function createFixtureBackend(fixture, settings = {}) {
+    const { exitCode = 0, lineDelayMs = 0 } = settings;
+    return {
+        name: "fixture",
+        async run(script, context) {
+            const fixturePath =
+                typeof fixture === "function" ? fixture(context) : fixture;
+            const output = fs.readFileSync(fixturePath, "utf-8");
+
+            // Write line by line so the log grows like it does in a live run
+            fs.writeFileSync(context.out, "");
+            for (const line of output.split(/(?<=\n)/)) {
+                if (context.signal?.aborted) return 1;
+                fs.appendFileSync(context.out, line);
+                if (lineDelayMs > 0) {
+                    await sleep(lineDelayMs);
+                }
+            }
+
+            return exitCode;
+        },
+    };
+}
+
+/**
+ * Resolves the `--backend` option to a backend instance.
+ * Accepts a backend object, a built-in name (`opencloud`, `fixture`), or the path or
+ * package name of a module whose default export is a backend or a function that
+ * returns one when called with the options.
+ * @param {string | LuauBackend | undefined} backend The requested backend.
+ * @param {object} options The CLI options, used for backend settings like `fixture`.
+ * @returns {Promise<LuauBackend>} The backend instance.
+ */
+export async function resolveBackend(backend, options) {
+    if (backend && typeof backend === "object") {
+        if (typeof backend.run !== "function") {
+            throw new Error("Backend object must have a run function");
+        }
+        return backend;
+    }
+
+    if (!backend || backend === "opencloud") {
+        return openCloudBackend;
+    }
+
+    if (backend === "fixture") {
+        if (!options.fixture) {
+            throw new Error(
+                "The fixture backend requires --fixture to point to a recorded output log",
+            );
+        }
+        const fixturePath = path.resolve(options.fixture);
+        if (!fs.existsSync(fixturePath)) {
+            throw new Error(`Fixture file not found: ${fixturePath}`);
+        }
+        return createFixtureBackend(fixturePath);
+    }
+
+    // Convert paths to file URLs for ESM loader compatibility
+    let moduleToImport = backend;
+    if (path.isAbsolute(backend) || backend.startsWith(".")) {
+        moduleToImport = pathToFileURL(path.resolve(backend)).href;
+    }
+    const backendModule = await import(moduleToImport);
+    const exported = backendModule.default ?? backendModule;
+    const instance =
+        typeof exported === "function" ? await exported(options) : exported;
+    if (!instance || typeof instance.run !== "function") {
+        throw new Error(
+            `Backend module "${backend}" does not export a backend with a run function`,
+        );
+    }
+    return instance;
+}
@@ -0,0 +1,121 @@
+import { spawn } from "child_process";
+import fs from "fs";
+import path from "path";
+
+/**
+ * Collects the source files and directories of a project to watch for changes.
+ * Rojo `$path` entries are watched, except for the compiled output, which is replaced by the
+ * tsconfig `rootDir` it is built from, and for dependencies like `rbxts_include` and `node_modules`.
+ * @param {import("./index").RojoProject} rojoProject The Rojo project.
+ * @param {import("./index").CompilerOptions} compilerOptions The tsconfig directories.
+ * @returns {string[]} Absolute paths to watch.
+ */
+export function getSourceWatchPaths(rojoProject, compilerOptions) {
+    const projectRoot = rojoProject.root;
+    const resolve = (value) =>
+        path.isAbsolute(value) ? value : path.join(projectRoot, value);
+    const rootDir = resolve(compilerOptions?.rootDir ?? "src");
+    const outDir = resolve(compilerOptions?.outDir ?? "out");
+    const isCompiled = path.resolve(rootDir) !== path.resolve(outDir);
+    const isInside = (child, parent) => {
+        const relative = path.relative(parent, child);
+        return !relative.startsWith("..") && !path.isAbsolute(relative);
+    };
+
+    const watchPaths = new Set();
+    if (isCompiled) {
+        watchPaths.add(path.resolve(rootDir));
+    }
+
+    if (rojoProject.file) {
+        watchPaths.add(path.resolve(rojoProject.file));
+
+        let project;
+        try {
+            project = JSON.parse(fs.readFileSync(rojoProject.file, "utf-8"));
+        } catch {
+            project = undefined;
+        }
+
+        const visit = (node) => {
+            if (!node || typeof node !== "object") return;
+            if (typeof node.$path === "string") {
+                const target = path.resolve(projectRoot, node.$path);
+                if (
+                    !(isCompiled && isInside(target, outDir)) &&
+                    !target.split(path.sep).includes("node_modules")
+                ) {
+                    watchPaths.add(target);
+                }
+            }
+            for (const [key, child] of Object.entries(node)) {
+                if (key.startsWith("$") || key === "rbxts_include") continue;
+                visit(child);
+            }
+        };
+        visit(project?.tree);
+    }
+
+    return [...watchPaths];
+}
+
+/**
+ * Chooses the commands that rebuild the place when no build pipeline is configured:
+ * `rbxtsc` for roblox-ts projects, followed by `rojo build`.
+ * @param {{ rojoProject: import("./index").RojoProject, compilerOptions: import("./index").CompilerOptions, place: string }} project The project and the place file to build.
+ * @returns {string[]} The build commands.
+ */
+export function getDefaultBuildCommands({
+    rojoProject,
+    compilerOptions,
+    place,
+}) {
+    const commands = [];
+    const rootDir = compilerOptions?.rootDir ?? "src";
+    const outDir = compilerOptions?.outDir ?? "out";
+    if (
+        path.resolve(rojoProject.root, rootDir) !==
+            path.resolve(rojoProject.root, outDir) &&
+        fs.existsSync(path.join(rojoProject.root, "tsconfig.json"))
+    ) {
+        commands.push("npx rbxtsc");
+    }
+    if (rojoProject.file) {
+        commands.push(
+            `rojo build ${JSON.stringify(path.relative(rojoProject.root, rojoProject.file))} -o ${JSON.stringify(path.relative(rojoProject.root, place))}`,
+        );
+    }
+    return commands;
+}
+
+/**
+ * Runs build commands one after another in a shell, passing their output through as it arrives.
+ * Stops at the first command that fails.
+ * @param {string[]} commands The commands to run.
+ * @param {{ cwd?: string }} options The directory to run the commands in.
+ * @returns {Promise<{ success: boolean, command?: string, exitCode?: number }>} Whether every command succeeded, and otherwise the one that failed.
+ */
+export async function runBuildPipeline(commands, { cwd = process.cwd() } = {}) {
+    for (const command of commands) {
+        console.log(`> ${command}`);
+        const exitCode = await new Promise((resolve) => {
+            const child = spawn(command, {
+                cwd,
+                shell: true,
+                stdio: ["ignore", "pipe", "pipe"],
+            });
+            child.stdout.on("data", (data) => process.stdout.write(data));
+            child.stderr.on("data", (data) => process.stderr.write(data));
+            child.on("error", (error) => {
+                process.stderr.write(`${error.message}\n`);
+                resolve(1);
+            });
+            child.on("close", (code) => resolve(code ?? 1));
+        });
+
+        if (exitCode !== 0) {
+            return { success: false, command, exitCode };
+        }
+    }
+    return { success: true };
+}
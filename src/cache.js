@@ -6,11 +6,14 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 /**
- * Ensures that the .cache directory exists with a .gitignore file.
- * @returns {string} The path to the .cache directory.
+ * Ensures that the cache directory exists with a .gitignore file. It is the .cache directory of
+ * the package, or the directory named by the JESTRBX_CACHE_DIR environment variable.
+ * @returns {string} The path to the cache directory.
  */
 export function ensureCache() {
-    const CACHE_FOLDER_PATH = path.join(__dirname, "..", ".cache");
+    const CACHE_FOLDER_PATH = process.env.JESTRBX_CACHE_DIR
+        ? path.resolve(process.env.JESTRBX_CACHE_DIR)
+        : path.join(__dirname, "..", ".cache");
     if (!fs.existsSync(CACHE_FOLDER_PATH)) {
         fs.mkdirSync(CACHE_FOLDER_PATH, { recursive: true });
         fs.writeFileSync(path.join(CACHE_FOLDER_PATH, ".gitignore"), `*`);
@@ -18,3 +21,35 @@ export function ensureCache() {
     return CACHE_FOLDER_PATH;
 }
 
+
+/**
+ * Reads a JSON file from the cache directory.
+ * @param {string} name The file name inside the cache directory.
+ * @param {*} fallback The value to return when the file is missing or unreadable.
+ * @returns {*} The parsed contents, or the fallback.
+ */
+export function readCacheJson(name, fallback) {
+    const filePath = path.join(ensureCache(), name);
+    try {
+        return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    } catch {
+        return fallback;
+    }
+}
+
+/**
+ * Writes a JSON file to the cache directory. Cached files only speed up or inform later runs,
+ * so a cache that cannot be written to is not an error.
+ * @param {string} name The file name inside the cache directory.
+ * @param {*} data The value to serialize.
+ * @returns {boolean} Whether the file was written.
+ */
+export function writeCacheJson(name, data) {
+    try {
+        const filePath = path.join(ensureCache(), name);
+        fs.writeFileSync(filePath, JSON.stringify(data));
+        return true;
+    } catch {
+        return false;
+    }
+}
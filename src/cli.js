@@ -5,9 +5,23 @@ import dotenv from "dotenv";
 import path from "path";
 import yargs from "yargs";
 import { hideBin } from "yargs/helpers";
-import { findPlaceFile } from "./discovery.js";
+import {
+    getDefaultBuildCommands,
+    getSourceWatchPaths,
+    runBuildPipeline,
+} from "./build.js";
+import {
+    discoverCompilerOptions,
+    discoverRojoProject,
+    findPlaceFile,
+    getProjectKey,
+} from "./discovery.js";
+import { resolveOptions } from "./config.js";
 import { getCliOptions } from "./docs.js";
+import { analyzeHistory, formatHistoryReport, loadHistory } from "./history.js";
+import { getOptionTypes } from "./options.js";
 import runJestRoblox from "./runJestRoblox.js";
+import { WatchMenu } from "./watch.js";
 
 // Load environment variables from .env file
 dotenv.config({ quiet: true });
@@ -21,6 +35,16 @@ let yargsInstance = yargs(hideBin(process.argv))
         describe: "test path pattern to match",
         type: "string",
     })
+    .command(
+        "history",
+        "Report newly failing and fixed tests, flaky candidates and suites getting slower across the recorded runs of the project",
+        (command) =>
+            command.option("runs", {
+                describe:
+                    "Number of recent runs to look for flaky tests and slowdowns in. Default is 10.",
+                type: "number",
+            }),
+    )
     .option("place", {
         describe: "path to Roblox place file",
         type: "string",
@@ -36,13 +60,24 @@ let yargsInstance = yargs(hideBin(process.argv))
         type: "string",
     })
     .option("config", {
-        describe: "path to Jest config file",
+        describe:
+            'path to jestrbx config file. Defaults to jestrbx.config.{js,ts,mjs,mts,cts,json} or the "jestrbx" key of package.json in the current directory',
         type: "string",
     })
     .option("maxWorkers", {
         describe: "EXPERIMENTAL: maximum number of parallel workers to use",
         type: "number",
     })
+    .option("workerRetries", {
+        describe:
+            "Number of times a failed parallel worker is retried before its suites are reported as failed. Default is 1.",
+        type: "number",
+    })
+    .option("retryFailed", {
+        describe:
+            "Number of times the tests that failed are run again. Tests that pass on retry are reported as flaky instead of failed.",
+        type: "number",
+    })
     .option("testLocationInResults", {
         describe:
             "Adds a location field to test results. Useful if you want to report the location of a test in a reporter.",
@@ -63,6 +98,17 @@ let yargsInstance = yargs(hideBin(process.argv))
         describe: "Watches the place file and reruns tests on changes.",
         type: "boolean",
     })
+    .option("watchSources", {
+        describe:
+            "In watch mode, watches the Rojo project's source directories and rebuilds the place before rerunning tests.",
+        type: "boolean",
+    })
+    .option("build", {
+        describe:
+            "Command that rebuilds the place with --watchSources. Repeat to run several in order. Defaults to rbxtsc for roblox-ts projects followed by rojo build.",
+        type: "array",
+        string: true,
+    })
     .option("useStderr", {
         describe: "Divert all output to stderr.",
         type: "boolean",
@@ -76,6 +122,43 @@ let yargsInstance = yargs(hideBin(process.argv))
         describe:
             "Specifies the time before the cloud test run is aborted. Format: <number>[s|m|h], where s=seconds, m=minutes, h=hours. Default is 300s. Only applies to cloud test runs.",
         type: "string",
+    })
+    .option("shard", {
+        describe:
+            "Runs only one shard of the test suites, formatted as <index>/<count> (e.g. 1/3). Use it to split a run across CI machines.",
+        type: "string",
+    })
+    .option("onlyFailures", {
+        alias: "f",
+        describe:
+            "Runs only the tests that failed in the previous run of this project.",
+        type: "boolean",
+    })
+    .option("onlyChanged", {
+        alias: "o",
+        describe:
+            "Runs only the test suites related to files changed since the last commit, found through the require graph of the compiled Luau.",
+        type: "boolean",
+    })
+    .option("changedSince", {
+        describe:
+            "Runs only the test suites related to files changed since the given branch, tag or commit.",
+        type: "string",
+    })
+    .option("findRelatedTests", {
+        describe:
+            "Runs only the test suites that depend on the source files passed as arguments, e.g. for a pre-commit hook.",
+        type: "boolean",
+    })
+    .option("backend", {
+        describe:
+            "Execution backend to run tests with: opencloud (default), fixture, or a path to a backend module.",
+        type: "string",
+    })
+    .option("fixture", {
+        describe:
+            "Path to a recorded output log for the fixture backend to serve instead of running tests.",
+        type: "string",
     });
 
 // Add dynamically fetched CLI options
@@ -91,6 +174,7 @@ for (const opt of cliOptions) {
     const shortFlags = {
         verbose: "v",
         testNamePattern: "t",
+        updateSnapshot: "u",
     };
 
     const optionConfig = {
@@ -111,21 +195,49 @@ for (const opt of cliOptions) {
     yargsInstance = yargsInstance.option(flagName, optionConfig);
 }
 
+// Only the canonical name of each option is kept, so --showConfig lists every option once
 const args = await yargsInstance
+    .parserConfiguration({ "strip-aliased": true, "strip-dashed": true })
     .help("help", "Show help message")
     .alias("help", "h")
     .strict(false).argv;
 
-// Extract testPathPattern from positional args
-const [testPathPattern] = args._;
+// Options the CLI acts on itself are read after config files and JESTRBX_* variables are applied
+const { _, $0, ...cliArgs } = args;
+let options;
+try {
+    ({ options } = await resolveOptions(cliArgs, {
+        types: getOptionTypes(cliOptions),
+    }));
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
 
-// watch is a compat alias for watchAll in this tool
-if (args.watch && !args.watchAll) {
-    args.watchAll = true;
+// Runs are recorded per project, so the history is looked up the same way runs find their project
+if (_[0] === "history") {
+    const rojoProject = discoverRojoProject(
+        options.project ? path.resolve(options.project) : undefined,
+    );
+    const runs = loadHistory(getProjectKey(rojoProject));
+    const report = analyzeHistory(runs, { window: options.runs });
+    console.log(
+        options.json
+            ? JSON.stringify(report)
+            : formatHistoryReport(report, runs.at(-1)),
+    );
+    process.exit(0);
 }
 
-const watchMode = Boolean(args.watchAll);
-const resolvedPlace = watchMode ? (args.place ?? findPlaceFile()) : args.place;
+// Extract testPathPattern from positional args, which are files with --findRelatedTests
+const [testPathPattern] = options.findRelatedTests ? [] : _;
+const findRelatedTests = options.findRelatedTests ? _.map(String) : undefined;
+
+// watch is a compat alias for watchAll in this tool
+const watchMode = Boolean(options.watchAll || options.watch);
+const resolvedPlace = watchMode
+    ? (options.place ?? findPlaceFile())
+    : options.place;
 
 if (watchMode && !resolvedPlace) {
     console.error(
@@ -136,12 +248,15 @@ if (watchMode && !resolvedPlace) {
 
 const absolutePlace = resolvedPlace ? path.resolve(resolvedPlace) : undefined;
 
-const runOnce = async () => {
+const runOnce = async (runOptions = {}) => {
     try {
         return await runJestRoblox({
-            ...args,
-            place: absolutePlace ?? args.place,
+            ...cliArgs,
+            ...(watchMode && { watchAll: true }),
+            place: absolutePlace,
             testPathPattern,
+            findRelatedTests,
+            ...runOptions,
         });
     } catch (error) {
         console.error(error?.stack || error?.message || String(error));
@@ -154,32 +269,95 @@ if (!watchMode) {
 }
 
 let running = false;
-let pending = false;
+// The run requested while another was in progress, replayed once it finishes
+let pending = null;
 let lastExitCode = 0;
 const DEBOUNCE_MS = 2000;
 let debounceTimer = null;
 let lastReason = null;
 
-const triggerRun = async (reason) => {
+// With --watchSources, source changes rebuild the place before the tests rerun
+let watchPaths = [absolutePlace];
+let buildCommands = [];
+let buildDirectory = process.cwd();
+if (options.watchSources) {
+    const rojoProject = discoverRojoProject(
+        options.project ? path.resolve(options.project) : undefined,
+    );
+    const compilerOptions = discoverCompilerOptions(options.tsconfig);
+    watchPaths = getSourceWatchPaths(rojoProject, compilerOptions);
+    buildCommands =
+        options.build && options.build.length > 0
+            ? [options.build].flat().map(String)
+            : getDefaultBuildCommands({
+                  rojoProject,
+                  compilerOptions,
+                  place: absolutePlace,
+              });
+    buildDirectory = rojoProject.root;
+}
+
+// Keys change the filters of the following runs, like in Jest's watch mode
+const menu = new WatchMenu({
+    filters: {
+        testPathPattern: testPathPattern ?? options.testPathPattern,
+        testNamePattern: options.testNamePattern,
+        onlyFailures: options.onlyFailures,
+    },
+    onRun: (runOptions, reason) =>
+        triggerRun(`Running tests (${reason})...`, {
+            runOptions,
+            rebuild: false,
+        }),
+    onQuit: () => cleanup(),
+});
+
+const triggerRun = async (
+    message,
+    { runOptions = menu.getRunOptions(), rebuild = true } = {},
+) => {
     if (running) {
-        pending = true;
+        // A later request replaces an earlier one, but a rebuild that was asked for still happens
+        pending = {
+            message,
+            runOptions,
+            rebuild: rebuild || Boolean(pending?.rebuild),
+        };
         return;
     }
 
     running = true;
-    if (reason) {
-        console.log(`\nChange detected (${reason}). Running tests...`);
+    const needsBuild = rebuild && buildCommands.length > 0;
+    if (message) {
+        console.log(`\n${message}`);
     }
 
-    lastExitCode = await runOnce();
+    const build = needsBuild
+        ? await runBuildPipeline(buildCommands, { cwd: buildDirectory })
+        : { success: true };
+    if (build.success) {
+        lastExitCode = await runOnce(runOptions);
+        if (interactive) {
+            menu.printStatus();
+        }
+    } else {
+        console.error(
+            `\nBuild failed: "${build.command}" exited with code ${build.exitCode}. Waiting for changes...`,
+        );
+        lastExitCode = 1;
+    }
     running = false;
 
     if (pending) {
-        pending = false;
-        await triggerRun();
+        const next = pending;
+        pending = null;
+        await triggerRun(next.message, next);
     }
 };
 
+const describeChange = (reason) =>
+    `Change detected (${reason}). ${buildCommands.length > 0 ? "Rebuilding" : "Running tests"}...`;
+
 const scheduleRun = (reason) => {
     lastReason = reason ?? lastReason;
     if (debounceTimer) {
@@ -187,15 +365,19 @@ const scheduleRun = (reason) => {
     }
     debounceTimer = setTimeout(() => {
         debounceTimer = null;
-        triggerRun(lastReason);
+        triggerRun(describeChange(lastReason));
     }, DEBOUNCE_MS);
 };
 
 console.log(
-    `Watching ${path.relative(process.cwd(), absolutePlace)} for changes. Press Ctrl+C to exit.`,
+    `Watching ${watchPaths.map((watchPath) => path.relative(process.cwd(), watchPath) || ".").join(", ")} for changes. Press Ctrl+C to exit.`,
 );
 
-const watcher = chokidar.watch(absolutePlace, { ignoreInitial: true });
+// The place is rebuilt by the pipeline, so its own changes do not trigger runs then
+const watcher = chokidar.watch(watchPaths, {
+    ignoreInitial: true,
+    ignored: options.watchSources ? absolutePlace : undefined,
+});
 
 watcher.on("all", (event, changedPath) => {
     if (event === "change" || event === "add" || event === "unlink") {
@@ -210,15 +392,21 @@ watcher.on("error", (error) => {
     console.error(`Watcher error: ${error?.message || error}`);
 });
 
-await triggerRun("initial run");
+const interactive = menu.start();
+if (interactive) {
+    menu.printUsage();
+}
+
+await triggerRun(describeChange("initial run"));
 
-const cleanup = () => {
+function cleanup() {
+    menu.stop();
     watcher.close().catch?.(() => {});
     if (debounceTimer) {
         clearTimeout(debounceTimer);
     }
     process.exit(lastExitCode);
-};
+}
 
 process.on("SIGINT", cleanup);
 process.on("SIGTERM", cleanup);
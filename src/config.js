@@ -0,0 +1,338 @@
+import fs from "fs";
+import module, { createRequire } from "module";
+import path from "path";
+import { pathToFileURL } from "url";
+import { ensureCache } from "./cache.js";
+import { getOptionTypes } from "./options.js";
+
+/**
+ * Config files discovered in the working directory when `--config` is not given, in order of
+ * preference. A `"jestrbx"` key in `package.json` is used when none of them exist.
+ */
+export const CONFIG_FILE_NAMES = [
+    "jestrbx.config.js",
+    "jestrbx.config.ts",
+    "jestrbx.config.mjs",
+    "jestrbx.config.mts",
+    "jestrbx.config.cts",
+    "jestrbx.config.json",
+];
+
+/**
+ * Values of the JS-side options that apply when no layer sets them.
+ */
+export const DEFAULT_OPTIONS = {
+    timeout: "300s",
+    maxWorkers: 1,
+    workerRetries: 1,
+    coverageDirectory: "coverage",
+};
+
+/**
+ * Environment variables are named after options, e.g. `JESTRBX_MAX_WORKERS` for `maxWorkers`.
+ */
+const ENV_PREFIX = "JESTRBX_";
+
+/**
+ * Environment variables that set an option under another name, kept for compatibility.
+ */
+const ENV_ALIASES = {
+    JEST_TEST_NAME_PATTERN: "testNamePattern",
+};
+
+/**
+ * Where the value of an option came from: `"default"`, `"config"`, `"env"` or `"cli"`, with the
+ * config file or environment variable that set it.
+ * @typedef {object} OptionSource
+ * @property {"default" | "config" | "env" | "cli"} layer The layer that set the value.
+ * @property {string} [from] The config file or environment variable that set it.
+ */
+
+/**
+ * Declares a config file with its options type-checked and autocompleted by editors. Returns the
+ * options unchanged.
+ * @param {import("./index").JestRobloxConfig} config The options.
+ * @returns {import("./index").JestRobloxConfig} The same options.
+ */
+export function defineConfig(config) {
+    return config;
+}
+
+/**
+ * Finds the config file of the project in a directory.
+ * @param {string} cwd The directory to look in.
+ * @returns {string | undefined} The absolute path of the config file, or of a `package.json` with a `"jestrbx"` key.
+ */
+export function findConfigFile(cwd) {
+    const candidates = CONFIG_FILE_NAMES.map((name) => path.join(cwd, name))
+        .filter((candidate) => fs.existsSync(candidate))
+        .concat(
+            hasPackageConfig(path.join(cwd, "package.json"))
+                ? [path.join(cwd, "package.json")]
+                : [],
+        );
+    if (candidates.length > 1) {
+        // Like Jest, refuse to guess which one is meant
+        throw new Error(
+            `Multiple configurations found:\n${candidates.map((candidate) => `    * ${candidate}`).join("\n")}\nDelete all but one, or pass the one to use with --config.`,
+        );
+    }
+    return candidates[0];
+}
+
+/**
+ * Loads the options of a config file: the default export of a JS or TypeScript module, a JSON
+ * file, or the `"jestrbx"` key of a `package.json`.
+ * @param {string} configPath The path of the config file.
+ * @returns {Promise<object>} The options of the config file.
+ */
+export async function loadConfigFile(configPath) {
+    const absolutePath = path.resolve(configPath);
+    if (!fs.existsSync(absolutePath)) {
+        throw new Error(`Config file not found: ${absolutePath}`);
+    }
+
+    let config;
+    try {
+        if (path.basename(absolutePath) === "package.json") {
+            config = JSON.parse(fs.readFileSync(absolutePath, "utf-8")).jestrbx;
+        } else if (absolutePath.endsWith(".json")) {
+            config = JSON.parse(fs.readFileSync(absolutePath, "utf-8"));
+        } else if (/\.[cm]?ts$/.test(absolutePath)) {
+            config = await importTypeScriptConfig(absolutePath);
+        } else {
+            const configModule = await import(pathToFileURL(absolutePath).href);
+            config = configModule.default || configModule;
+        }
+    } catch (error) {
+        throw new Error(`Failed to load config file: ${error.message}`);
+    }
+    return { ...(config ?? {}) };
+}
+
+/**
+ * Reads the options set through `JESTRBX_*` environment variables. `"true"` and `"false"` are
+ * booleans, numbers are numbers for options that accept one, lists are comma separated for
+ * options that only accept arrays, and anything else is a string. Variables that do not name one
+ * of the known options are ignored.
+ * @param {Record<string, string | undefined>} env The environment variables.
+ * @param {Record<string, string[]>} [types] The accepted types of each known option.
+ * @returns {{ options: object, variables: Record<string, string> }} The options, and the variable that set each one.
+ */
+export function readEnvOptions(env, types = getOptionTypes()) {
+    const options = {};
+    const variables = {};
+    const set = (variable, name) => {
+        const value = env[variable];
+        if (value === undefined || value === "") return;
+
+        if (value === "true" || value === "false") {
+            options[name] = value === "true";
+        } else if (
+            types[name]?.includes("number") &&
+            Number.isFinite(Number(value))
+        ) {
+            options[name] = Number(value);
+        } else if (types[name]?.length === 1 && types[name][0] === "array") {
+            options[name] = value.split(",").map((item) => item.trim());
+        } else {
+            options[name] = value;
+        }
+        variables[name] = variable;
+    };
+
+    for (const [variable, name] of Object.entries(ENV_ALIASES)) {
+        set(variable, name);
+    }
+    for (const variable of Object.keys(env)) {
+        if (!variable.startsWith(ENV_PREFIX)) continue;
+        const name = variable
+            .slice(ENV_PREFIX.length)
+            .toLowerCase()
+            .replace(/_([a-z0-9])/g, (_, letter) => letter.toUpperCase());
+        if (Object.hasOwn(types, name)) set(variable, name);
+    }
+    return { options, variables };
+}
+
+/**
+ * Resolves the options of a run from its layers, each overriding the one before:
+ * defaults < config file < environment < CLI. A `null` option clears the value of the layers
+ * before it, like a pattern cleared in watch mode.
+ * @param {object} cliOptions The options given on the command line or to the API.
+ * @param {{ cwd?: string, env?: Record<string, string | undefined>, types?: Record<string, string[]> }} [context] The directory config files are discovered in, the environment variables, and the accepted types of each option.
+ * @returns {Promise<{ options: object, sources: Record<string, OptionSource>, configPath?: string }>} The resolved options, where each came from, and the config file that was loaded.
+ */
+export async function resolveOptions(
+    cliOptions,
+    { cwd = process.cwd(), env = process.env, types = getOptionTypes() } = {},
+) {
+    const envLayer = readEnvOptions(env, types);
+    const explicitConfig = cliOptions.config ?? envLayer.options.config;
+    const configPath = explicitConfig
+        ? path.resolve(cwd, explicitConfig)
+        : findConfigFile(cwd);
+    const configOptions = configPath ? await loadConfigFile(configPath) : {};
+    const configName = configPath
+        ? path.relative(cwd, configPath).replace(/\\/g, "/")
+        : undefined;
+
+    const options = {};
+    const sources = {};
+    const apply = (layerOptions, source) => {
+        for (const [key, value] of Object.entries(layerOptions)) {
+            if (value === undefined) continue;
+            if (value === null) {
+                delete options[key];
+                delete sources[key];
+                continue;
+            }
+            options[key] = value;
+            sources[key] = source(key);
+        }
+    };
+    apply(DEFAULT_OPTIONS, () => ({ layer: "default" }));
+    apply(configOptions, () => ({ layer: "config", from: configName }));
+    apply(envLayer.options, (key) => ({
+        layer: "env",
+        from: envLayer.variables[key],
+    }));
+    apply(cliOptions, () => ({ layer: "cli" }));
+
+    return { options, sources, configPath };
+}
+
+/**
+ * Formats the `--showConfig` output: the JS-side options with where each came from, followed by
+ * the config resolved by the Roblox Jest runtime.
+ * @param {object} options The resolved options.
+ * @param {Record<string, OptionSource>} sources Where each option came from.
+ * @param {string | null} runtimeConfig The config printed by the runtime, as JSON.
+ * @returns {string} The JSON to print.
+ */
+export function formatShowConfig(options, sources, runtimeConfig) {
+    const jestrbx = {};
+    for (const key of Object.keys(options).sort()) {
+        const value = options[key];
+        if (typeof value === "function") continue;
+        const source = sources[key] ?? { layer: "cli" };
+        jestrbx[key] = {
+            value:
+                value && typeof value === "object" && "run" in value
+                    ? `[backend ${value.name ?? "object"}]`
+                    : value,
+            source: source.from
+                ? `${source.layer} (${source.from})`
+                : source.layer,
+        };
+    }
+
+    let runtime = runtimeConfig;
+    try {
+        runtime = runtimeConfig ? JSON.parse(runtimeConfig) : null;
+    } catch {
+        // Shown as printed by the runtime
+    }
+    return JSON.stringify({ jestrbx, runtime }, null, 2);
+}
+
+/**
+ * Imports a TypeScript config file by transpiling it to a module in the cache directory. Its
+ * imports are resolved from the config file beforehand, so they behave as they would from there.
+ * @param {string} configPath The absolute path of the config file.
+ * @returns {Promise<object>} The default export of the config.
+ */
+async function importTypeScriptConfig(configPath) {
+    const modulePath = path.join(
+        ensureCache(),
+        `${path.basename(configPath)}.${process.pid}.${Date.now()}.mjs`,
+    );
+    try {
+        const source = fs.readFileSync(configPath, "utf-8");
+        fs.writeFileSync(
+            modulePath,
+            resolveImports(transpileTypeScript(source, configPath), configPath),
+        );
+        const configModule = await import(pathToFileURL(modulePath).href);
+        return configModule.default || configModule;
+    } finally {
+        fs.rmSync(modulePath, { force: true });
+    }
+}
+
+/**
+ * Transpiles TypeScript to an ES module with the `typescript` package of the project, or by
+ * stripping the types with Node.js when the project does not have one.
+ * @param {string} source The TypeScript source.
+ * @param {string} fileName The path of the source, to resolve `typescript` from.
+ * @returns {string} The JavaScript code.
+ */
+function transpileTypeScript(source, fileName) {
+    let ts;
+    try {
+        ts = createRequire(fileName)("typescript");
+    } catch {
+        // Falls back to Node.js below
+    }
+    if (ts) {
+        return ts.transpileModule(source, {
+            fileName,
+            compilerOptions: {
+                module: ts.ModuleKind.ESNext,
+                target: ts.ScriptTarget.ES2022,
+            },
+        }).outputText;
+    }
+    if (typeof module.stripTypeScriptTypes === "function") {
+        return module.stripTypeScriptTypes(source);
+    }
+    throw new Error(
+        "TypeScript config files require the typescript package or Node.js 22.13 or later",
+    );
+}
+
+/**
+ * Rewrites the import specifiers of a module to absolute URLs, resolving them from another file.
+ * Relative imports resolve from the directory of that file and packages from its `node_modules`.
+ * Built-in modules and packages that cannot be resolved there are left as they are.
+ * @param {string} code The JavaScript code of the module.
+ * @param {string} fileName The path of the file to resolve the imports from.
+ * @returns {string} The code with the resolved imports.
+ */
+function resolveImports(code, fileName) {
+    const require = createRequire(fileName);
+    const resolve = (specifier) => {
+        if (/^\.{1,2}\//.test(specifier) || path.isAbsolute(specifier)) {
+            return pathToFileURL(
+                path.resolve(path.dirname(fileName), specifier),
+            ).href;
+        }
+        if (/^[a-z]+:/.test(specifier) || module.isBuiltin(specifier)) {
+            return specifier;
+        }
+        try {
+            return pathToFileURL(require.resolve(specifier)).href;
+        } catch {
+            return specifier;
+        }
+    };
+    return code.replace(
+        /(\bfrom\s*|\bimport\s*\(\s*|\bimport\s+)(["'])([^"'\n]+)\2/g,
+        (_, keyword, quote, specifier) =>
+            `${keyword}${quote}${resolve(specifier)}${quote}`,
+    );
+}
+
+/**
+ * Whether a `package.json` holds a `"jestrbx"` config.
+ * @param {string} packagePath The path of the `package.json`.
+ * @returns {boolean} Whether it has the key.
+ */
+function hasPackageConfig(packagePath) {
+    try {
+        const packageJson = JSON.parse(fs.readFileSync(packagePath, "utf-8"));
+        return Boolean(packageJson && "jestrbx" in packageJson);
+    } catch {
+        return false;
+    }
+}
@@ -0,0 +1,308 @@
+import { execFileSync } from "child_process";
+import fs from "fs";
+import path from "path";
+
+/**
+ * Lists the files changed in the git repository that contains a directory. Like Jest, this
+ * includes staged, unstaged and untracked files, and with a revision also the files changed
+ * in the commits since then.
+ * @param {string} cwd A directory inside the repository.
+ * @param {string} [changedSince] A branch, tag or commit to compare against.
+ * @returns {Set<string>} Absolute paths of the changed files.
+ */
+export function getChangedFiles(cwd, changedSince) {
+    const git = (args) =>
+        execFileSync("git", args, {
+            cwd,
+            encoding: "utf-8",
+            stdio: ["ignore", "pipe", "pipe"],
+        });
+
+    let repositoryRoot;
+    try {
+        repositoryRoot = git(["rev-parse", "--show-toplevel"]).trim();
+    } catch {
+        throw new Error(
+            `Finding changed files requires a git repository, but ${cwd} is not inside one`,
+        );
+    }
+
+    const commands = [
+        ["diff", "--name-only", "HEAD"],
+        ["ls-files", "--others", "--exclude-standard"],
+    ];
+    if (changedSince) {
+        commands.push(["diff", "--name-only", `${changedSince}...HEAD`]);
+    }
+
+    const changedFiles = new Set();
+    for (const args of commands) {
+        let output;
+        try {
+            output = git(args);
+        } catch (error) {
+            const reason = error.stderr?.toString().trim() || error.message;
+            throw new Error(`Failed to list changed files: ${reason}`);
+        }
+        for (const line of output.split("\n")) {
+            if (line.trim()) {
+                changedFiles.add(path.resolve(repositoryRoot, line.trim()));
+            }
+        }
+    }
+    return changedFiles;
+}
+
+/**
+ * Finds the instances that a Luau module requires. Handles `require` with instance paths
+ * built from `script` or `game` (including `:WaitForChild`, `:FindFirstChild` and
+ * `:GetService`), relative string requires, roblox-ts `TS.import` calls, and locals
+ * that alias an instance path. Requires inside comments and string literals are ignored.
+ * @param {string} source The Luau source of the module.
+ * @param {string} instancePath The slash-separated instance path of the module.
+ * @returns {string[]} Slash-separated instance paths of the required instances.
+ */
+export function parseRequires(source, instancePath) {
+    const scriptSegments = instancePath.split("/");
+    const aliases = new Map();
+    const requires = [];
+    // Scanned instead of the source, which is only read for the contents of strings
+    const code = maskCommentsAndStrings(source);
+
+    let cursor = 0;
+    const skipSpace = () => {
+        while (cursor < code.length && /\s/.test(code[cursor])) cursor++;
+    };
+    const readPattern = (regex, text = code) => {
+        regex.lastIndex = cursor;
+        const match = regex.exec(text);
+        if (!match) return undefined;
+        cursor = regex.lastIndex;
+        return match;
+    };
+    const readIdentifier = () => readPattern(/[A-Za-z_]\w*/y)?.[0];
+    const readString = () => {
+        const match = readPattern(/"([^"\\\n]*)"|'([^'\\\n]*)'/y, source);
+        return match ? (match[1] ?? match[2]) : undefined;
+    };
+    const readSymbol = (symbol) => {
+        skipSpace();
+        if (!code.startsWith(symbol, cursor)) return false;
+        cursor += symbol.length;
+        return true;
+    };
+
+    // Reads an expression like script.Parent:WaitForChild("Util") and resolves it
+    const readInstance = () => {
+        skipSpace();
+        const base = readIdentifier();
+        let segments;
+        if (base === "script") {
+            segments = [...scriptSegments];
+        } else if (base === "game") {
+            segments = [];
+        } else if (aliases.has(base)) {
+            segments = [...aliases.get(base)];
+        } else {
+            return undefined;
+        }
+
+        // Any other access, like a method call or a computed index, cannot be resolved
+        while (true) {
+            const start = cursor;
+            skipSpace();
+            if (readSymbol(".")) {
+                skipSpace();
+                const name = readIdentifier();
+                if (!name) return undefined;
+                if (name === "Parent") segments.pop();
+                else segments.push(name);
+            } else if (readSymbol("[")) {
+                skipSpace();
+                const name = readString();
+                if (name === undefined || !readSymbol("]")) return undefined;
+                segments.push(name);
+            } else if (readSymbol(":")) {
+                skipSpace();
+                const method = readIdentifier();
+                if (
+                    !["WaitForChild", "FindFirstChild", "GetService"].includes(
+                        method,
+                    ) ||
+                    !readSymbol("(")
+                ) {
+                    return undefined;
+                }
+                skipSpace();
+                const name = readString();
+                // Skip extra arguments like a WaitForChild timeout
+                const end = code.indexOf(")", cursor);
+                if (name === undefined || end === -1) return undefined;
+                segments.push(name);
+                cursor = end + 1;
+            } else {
+                cursor = start;
+                break;
+            }
+        }
+        return segments;
+    };
+
+    // Resolves string requires like "./Util" or "@self/Util"
+    const resolveStringRequire = (request) => {
+        const parts = request.replace(/\.luau?$/, "").split("/");
+        let segments;
+        if (parts[0] === "@self") {
+            segments = [...scriptSegments];
+        } else if (parts[0] === "." || parts[0] === "..") {
+            segments = scriptSegments.slice(0, -1);
+        } else {
+            return undefined;
+        }
+        for (const part of parts.slice(parts[0] === "." ? 1 : 0)) {
+            if (part === "@self" || part === ".") continue;
+            if (part === "..") segments.pop();
+            else segments.push(part);
+        }
+        return segments;
+    };
+
+    const statement =
+        /\blocal\s+([A-Za-z_]\w*)\s*=|\brequire\s*\(|\bTS\.import\s*\(/g;
+    let match;
+    while ((match = statement.exec(code))) {
+        cursor = statement.lastIndex;
+        let segments;
+        if (match[1]) {
+            const instance = readInstance();
+            if (instance) aliases.set(match[1], instance);
+            else aliases.delete(match[1]);
+            continue;
+        } else if (match[0].startsWith("require")) {
+            skipSpace();
+            const request = readString();
+            segments =
+                request !== undefined
+                    ? resolveStringRequire(request)
+                    : readInstance();
+        } else {
+            // TS.import(script, <base>, "path", "to", "module")
+            skipSpace();
+            if (readIdentifier() !== "script" || !readSymbol(",")) continue;
+            segments = readInstance();
+            while (segments && readSymbol(",")) {
+                skipSpace();
+                const name = readString();
+                if (name === undefined) break;
+                segments.push(name);
+            }
+        }
+        if (segments && segments.length > 0) {
+            requires.push(segments.join("/"));
+        }
+        statement.lastIndex = Math.max(statement.lastIndex, cursor);
+    }
+
+    return requires;
+}
+
+/**
+ * Builds the require graph of the scripts in a sourcemap from their compiled Luau.
+ * @param {Map<string, import("./index").ModulePathEntry>} modulePathMap The scripts of the sourcemap.
+ * @returns {Map<string, Set<string>>} The instance paths of the scripts that require each script.
+ */
+export function buildDependentsGraph(modulePathMap) {
+    const scripts = new Set();
+    for (const { className, instancePath } of modulePathMap.values()) {
+        if (className?.endsWith("Script") && instancePath) {
+            scripts.add(instancePath);
+        }
+    }
+
+    const dependents = new Map();
+    for (const {
+        className,
+        instancePath,
+        luauPath,
+    } of modulePathMap.values()) {
+        if (!scripts.has(instancePath)) continue;
+
+        let source;
+        try {
+            source = fs.readFileSync(luauPath, "utf-8");
+        } catch {
+            continue;
+        }
+        for (const dependency of parseRequires(source, instancePath)) {
+            if (!scripts.has(dependency)) continue;
+            if (!dependents.has(dependency)) {
+                dependents.set(dependency, new Set());
+            }
+            dependents.get(dependency).add(instancePath);
+        }
+    }
+    return dependents;
+}
+
+/**
+ * Finds the scripts that are built from the given files, and every script that requires
+ * one of them, directly or through other scripts.
+ * @param {Map<string, import("./index").ModulePathEntry>} modulePathMap The scripts of the sourcemap.
+ * @param {Iterable<string>} files Absolute paths of source or compiled Luau files.
+ * @returns {Set<string>} The instance paths of the related scripts.
+ */
+export function findRelatedScripts(modulePathMap, files) {
+    const fileSet = new Set([...files].map((file) => path.resolve(file)));
+    const related = new Set();
+    for (const {
+        luauPath,
+        sourcePath,
+        instancePath,
+    } of modulePathMap.values()) {
+        if (
+            instancePath &&
+            (fileSet.has(luauPath) ||
+                (sourcePath && fileSet.has(path.resolve(sourcePath))))
+        ) {
+            related.add(instancePath);
+        }
+    }
+
+    const dependents = buildDependentsGraph(modulePathMap);
+    const queue = [...related];
+    while (queue.length > 0) {
+        for (const dependent of dependents.get(queue.pop()) ?? []) {
+            if (!related.has(dependent)) {
+                related.add(dependent);
+                queue.push(dependent);
+            }
+        }
+    }
+    return related;
+}
+
+/**
+ * Blanks out the comments and the contents of the string literals of Luau source, keeping the
+ * offsets of everything else. The quotes of quoted strings are kept so that string arguments
+ * can still be read from the source.
+ * @param {string} source The Luau source.
+ * @returns {string} The source with comments and string contents replaced by spaces.
+ */
+function maskCommentsAndStrings(source) {
+    const blank = (text) => text.replace(/[^\n]/g, " ");
+    return source.replace(
+        /--\[(=*)\[[\s\S]*?\]\1\]|--[^\n]*|\[(=*)\[[\s\S]*?\]\2\]|"(?:[^"\\\n]|\\[\s\S])*"?|'(?:[^'\\\n]|\\[\s\S])*'?|`(?:[^`\\]|\\[\s\S])*`?/g,
+        (token) => {
+            const quote = token[0];
+            if (quote !== '"' && quote !== "'" && quote !== "`") {
+                return blank(token);
+            }
+            const closed = token.length > 1 && token.endsWith(quote);
+            return (
+                quote +
+                blank(token.slice(1, closed ? -1 : undefined)) +
+                (closed ? quote : "")
+            );
+        },
+    );
+}
@@ -80,6 +80,16 @@ function findFileDeep(startDir, predicate, maxDepth = 2) {
     return search(getSubdirs(startDir), 1);
 }
 
+/**
+ * Returns the key that the failures, timings and history of a Rojo project are recorded under:
+ * its project file, so projects that share a directory are kept apart, or its root without one.
+ * @param {{ file: string | null, root: string }} rojoProject The Rojo project.
+ * @returns {string} The key.
+ */
+export function getProjectKey(rojoProject) {
+    return rojoProject.file ? path.resolve(rojoProject.file) : rojoProject.root;
+}
+
 /**
  * Discovers the Rojo project file and root directory.
  * @param {string | null} projectFile Optional path to a known Rojo project file.
@@ -192,6 +202,87 @@ export function discoverCompilerOptions(file = null) {
     };
 }
 
+/**
+ * Converts a glob pattern to a regular expression source, supporting globstars and the
+ * extglob groups used by Jest's default testMatch, like `?(*.)` and `+(spec|test)`.
+ * @param {string} glob The glob pattern.
+ * @returns {string} The regular expression source, without anchors.
+ */
+function globToRegExpSource(glob) {
+    let source = "";
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        // Extglob groups: ?(a|b), *(a|b), +(a|b), @(a|b)
+        if ("?*+@".includes(char) && glob[i + 1] === "(") {
+            let depth = 0;
+            let close = -1;
+            for (let j = i + 1; j < glob.length; j++) {
+                if (glob[j] === "(") depth++;
+                if (glob[j] === ")" && --depth === 0) {
+                    close = j;
+                    break;
+                }
+            }
+            if (close !== -1) {
+                const alternatives = glob
+                    .slice(i + 2, close)
+                    .split("|")
+                    .map(globToRegExpSource)
+                    .join("|");
+                source += `(?:${alternatives})${char === "@" ? "" : char}`;
+                i = close;
+                continue;
+            }
+        }
+
+        if (char === "*") {
+            if (glob[i + 1] === "*") {
+                // A globstar matches any number of directories, including none
+                if (glob[i + 2] === "/") {
+                    source += "(?:.*/)?";
+                    i += 2;
+                } else {
+                    source += ".*";
+                    i += 1;
+                }
+            } else {
+                source += "[^/]*";
+            }
+        } else if (char === "?") {
+            source += "[^/]";
+        } else if (char === "[") {
+            // Character classes are copied as they are
+            const close = glob.indexOf("]", i);
+            if (close === -1) {
+                source += "\\[";
+            } else {
+                source += glob.slice(i, close + 1);
+                i = close;
+            }
+        } else {
+            source += char.replace(/[.+^${}()|\\]/g, "\\$&");
+        }
+    }
+    return source;
+}
+
+/**
+ * Tests whether a path matches a glob pattern. Matching is case-insensitive.
+ * @param {string} filePath The path to test, using forward slashes.
+ * @param {string} pattern The glob pattern.
+ * @returns {boolean} Whether the path matches.
+ */
+function matchGlobPattern(filePath, pattern) {
+    try {
+        const regex = new RegExp(`^${globToRegExpSource(pattern)}$`, "i");
+        return regex.test(filePath);
+    } catch {
+        // If pattern is invalid, fall back to simple check
+        return filePath.includes(".spec.") || filePath.includes(".test.");
+    }
+}
+
 /**
  * Discovers test files from the filesystem based on jest options.
  * @param {{ rootDir: string, outDir: string }} compilerOptions The TypeScript compiler options.
@@ -281,31 +372,6 @@ export function discoverTestFilesFromFilesystem(compilerOptions, jestOptions) {
         }
     }
 
-    // Simple glob pattern matcher
-    function matchGlobPattern(filePath, pattern) {
-        // Handle common glob patterns
-        let regexPattern = pattern
-            .replace(/\./g, "\\.")
-            .replace(/\*\*/g, "{{GLOBSTAR}}")
-            .replace(/\*/g, "[^/]*")
-            .replace(/{{GLOBSTAR}}/g, ".*")
-            .replace(/\?/g, ".");
-
-        // Handle optional groups like ?(x)
-        regexPattern = regexPattern.replace(/\\\?\(([^)]+)\)/g, "($1)?");
-
-        // Handle pattern groups like +(spec|test)
-        regexPattern = regexPattern.replace(/\+\(([^)]+)\)/g, "($1)+");
-
-        try {
-            const regex = new RegExp(`^${regexPattern}$`, "i");
-            return regex.test(filePath);
-        } catch {
-            // If pattern is invalid, fall back to simple check
-            return filePath.includes(".spec.") || filePath.includes(".test.");
-        }
-    }
-
     findFiles(outDirPath, outDirPath);
 
     // Apply testPathIgnorePatterns if specified
@@ -353,3 +419,103 @@ export function discoverTestFilesFromFilesystem(compilerOptions, jestOptions) {
 
     return jestPaths;
 }
+
+/**
+ * Discovers test files from the Rojo sourcemap, which covers any project layout, including
+ * pure Luau projects and tests mounted under any service.
+ *
+ * Like the Roblox Jest runtime, each ModuleScript under a project (the parent of a `jest.config`
+ * module) is matched against `testMatch` by its path relative to that project, starting with the
+ * project's own name. The returned paths are the paths the runtime reports for these tests.
+ * @param {Map<string, { className?: string, instancePath?: string }>} modulePathMap The module path map of a {@link ResultRewriter}.
+ * @param {object} jestOptions The Jest configuration options.
+ * @returns {string[]} The discovered test paths, e.g. `__tests__/add.spec`.
+ */
+export function discoverTestFilesFromSourcemap(modulePathMap, jestOptions) {
+    // Roblox Jest's default testMatch; instance names have no extension
+    const defaultTestMatch = [
+        "**/__tests__/**/*",
+        "**/?(*.)+(spec|test)?(.lua|.luau)",
+    ];
+    const testMatchPatterns =
+        jestOptions.testMatch && jestOptions.testMatch.length > 0
+            ? jestOptions.testMatch
+            : defaultTestMatch;
+
+    const modules = [];
+    const projects = [];
+    for (const entry of modulePathMap.values()) {
+        const { className, instancePath } = entry;
+        if (className !== "ModuleScript" || !instancePath) continue;
+        // Dependencies are not part of any project, like in the runtime
+        if (
+            instancePath.includes("rbxts_include") ||
+            instancePath.includes("node_modules")
+        ) {
+            continue;
+        }
+
+        const segments = instancePath.split("/");
+        if (segments[segments.length - 1] === "jest.config") {
+            // The project is the config's parent; its own name starts the test paths
+            projects.push({
+                root: segments.slice(0, -1).join("/"),
+                parentLength: segments.slice(0, -2).join("/").length,
+            });
+        } else {
+            modules.push(instancePath);
+        }
+    }
+    // Prefer the innermost project when projects are nested
+    projects.sort((a, b) => b.root.length - a.root.length);
+
+    const testPaths = [];
+    for (const instancePath of modules) {
+        const project = projects.find(({ root }) =>
+            instancePath.startsWith(`${root}/`)
+        );
+        if (!project) continue;
+
+        const testPath = project.parentLength
+            ? instancePath.slice(project.parentLength + 1)
+            : instancePath;
+        if (
+            testMatchPatterns.some((pattern) =>
+                matchGlobPattern(testPath, pattern)
+            )
+        ) {
+            testPaths.push(testPath);
+        }
+    }
+
+    let filteredPaths = testPaths;
+    if (
+        jestOptions.testPathIgnorePatterns &&
+        jestOptions.testPathIgnorePatterns.length > 0
+    ) {
+        filteredPaths = filteredPaths.filter((testPath) => {
+            return !jestOptions.testPathIgnorePatterns.some((pattern) => {
+                try {
+                    return new RegExp(pattern).test(testPath);
+                } catch {
+                    return testPath.includes(pattern);
+                }
+            });
+        });
+    }
+
+    if (jestOptions.testPathPattern) {
+        const pathPatternRegex = new RegExp(jestOptions.testPathPattern, "i");
+        filteredPaths = filteredPaths.filter((testPath) =>
+            pathPatternRegex.test(testPath)
+        );
+    }
+
+    if (jestOptions.verbose) {
+        console.log(
+            `Discovered ${filteredPaths.length} test file(s) from sourcemap`
+        );
+    }
+
+    return filteredPaths;
+}
@@ -45,6 +45,21 @@ export async function getCliOptions() {
     }
 }
 
+/**
+ * Returns the CLI options cached by {@link getCliOptions} without fetching them, so runs do not
+ * depend on the network.
+ * @returns {{ name: string, type: string, description: string }[]} The cached options, or an empty list.
+ */
+export function loadCachedCliOptions() {
+    const cliOptionsPath = path.join(ensureCache(), "cli-options.json");
+    try {
+        const cached = JSON.parse(fs.readFileSync(cliOptionsPath, "utf-8"));
+        return Array.isArray(cached) ? cached : [];
+    } catch {
+        return [];
+    }
+}
+
 export async function showHelp() {
     const options = await getCliOptions();
 
@@ -0,0 +1,58 @@
+import { readCacheJson, writeCacheJson } from "./cache.js";
+
+const FAILURES_FILE = "failures.json";
+
+/**
+ * Failures of a suite in the last runs.
+ * @typedef {object} SuiteFailures
+ * @property {string[]} tests The full names of the failing tests.
+ * @property {boolean} execError Whether the suite itself failed to run.
+ */
+
+/**
+ * Loads the failures recorded for a project.
+ * @param {string} projectKey The key of the project, as returned by `getProjectKey`.
+ * @returns {Record<string, SuiteFailures>} The failures, keyed by test path as reported by the runtime.
+ */
+export function loadFailures(projectKey) {
+    const failures = readCacheJson(FAILURES_FILE, {});
+    return failures?.[projectKey] ?? {};
+}
+
+/**
+ * Updates the recorded failures of a project with the suites of a run.
+ * Tests that failed are added and tests that passed are removed. Tests that did not run,
+ * for example because of a testNamePattern, keep their previous state.
+ * @param {string} projectKey The key of the project, as returned by `getProjectKey`.
+ * @param {object[]} testResults The suite results, with test paths as reported by the runtime.
+ */
+export function recordFailures(projectKey, testResults) {
+    const allFailures = readCacheJson(FAILURES_FILE, {}) ?? {};
+    const failures = allFailures[projectKey] ?? {};
+
+    for (const suite of testResults) {
+        const tests = new Set(failures[suite.testFilePath]?.tests ?? []);
+        for (const testResult of suite.testResults ?? []) {
+            if (testResult.status === "failed") {
+                tests.add(testResult.fullName);
+            } else if (testResult.status === "passed") {
+                tests.delete(testResult.fullName);
+            }
+        }
+
+        const execError = Boolean(suite.testExecError);
+        if (tests.size > 0 || execError) {
+            failures[suite.testFilePath] = { tests: [...tests], execError };
+        } else {
+            delete failures[suite.testFilePath];
+        }
+    }
+
+    if (Object.keys(failures).length > 0) {
+        allFailures[projectKey] = failures;
+    } else {
+        delete allFailures[projectKey];
+    }
+
+    writeCacheJson(FAILURES_FILE, allFailures);
+}
@@ -0,0 +1,282 @@
+import chalk from "chalk";
+import { execFileSync } from "child_process";
+import path from "path";
+import { readCacheJson, writeCacheJson } from "./cache.js";
+
+const HISTORY_FILE = "history.json";
+
+/**
+ * The number of runs kept for each project.
+ */
+const MAX_HISTORY_RUNS = 50;
+
+/**
+ * The number of recent runs looked at for flaky tests and slowdowns by default.
+ */
+const DEFAULT_HISTORY_WINDOW = 10;
+
+/**
+ * A suite counts as getting slower when its last duration is this many times its usual
+ * duration, and at least this many milliseconds longer.
+ */
+const SLOWDOWN_RATIO = 1.5;
+const MIN_SLOWDOWN_MS = 100;
+
+/**
+ * A run in the history of a project.
+ * @typedef {object} HistoryRun
+ * @property {number} timestamp When the run finished, in milliseconds since the epoch.
+ * @property {string | null} commit The commit SHA of the project at the time of the run, if it is a git repository.
+ * @property {{ path: string, status: string, duration?: number }[]} suites The suites that ran, with paths relative to the project root.
+ * @property {{ suite: string, fullName: string, status: string, duration?: number, invocations?: number }[]} tests The tests that ran.
+ */
+
+/**
+ * Loads the runs recorded for a project, oldest first.
+ * @param {string} projectKey The key of the project, as returned by `getProjectKey`.
+ * @returns {HistoryRun[]} The recorded runs.
+ */
+export function loadHistory(projectKey) {
+    const history = readCacheJson(HISTORY_FILE, {});
+    const runs = history?.[projectKey];
+    return Array.isArray(runs) ? runs : [];
+}
+
+/**
+ * Appends a run to the history of a project, keeping only the most recent runs.
+ * @param {string} projectKey The key of the project, as returned by `getProjectKey`.
+ * @param {string} projectRoot The root directory of the project, which suite paths are relative to.
+ * @param {object[]} testResults The suite results, with test file paths already rewritten to source paths.
+ * @param {{ commit?: string | null, timestamp?: number }} [run] The commit and time of the run. The commit defaults to the current HEAD of the project.
+ */
+export function recordHistory(projectKey, projectRoot, testResults, run = {}) {
+    const toSuitePath = (testFilePath) =>
+        path.relative(projectRoot, testFilePath).replace(/\\/g, "/");
+
+    const suites = [];
+    const tests = [];
+    for (const suite of testResults) {
+        const suitePath = toSuitePath(suite.testFilePath);
+        const { runtime, start, end } = suite.perfStats ?? {};
+        const duration = Number.isFinite(runtime) ? runtime : end - start;
+        suites.push({
+            path: suitePath,
+            status:
+                suite.testExecError || suite.numFailingTests > 0
+                    ? "failed"
+                    : "passed",
+            ...(Number.isFinite(duration) && { duration }),
+        });
+        for (const testResult of suite.testResults ?? []) {
+            tests.push({
+                suite: suitePath,
+                fullName: testResult.fullName,
+                status: testResult.status,
+                ...(Number.isFinite(testResult.duration) && {
+                    duration: testResult.duration,
+                }),
+                ...(testResult.invocations > 1 && {
+                    invocations: testResult.invocations,
+                }),
+            });
+        }
+    }
+    if (suites.length === 0) return;
+
+    const history = readCacheJson(HISTORY_FILE, {}) ?? {};
+    const runs = Array.isArray(history[projectKey]) ? history[projectKey] : [];
+    runs.push({
+        timestamp: run.timestamp ?? Date.now(),
+        commit:
+            run.commit !== undefined ? run.commit : getCommitSha(projectRoot),
+        suites,
+        tests,
+    });
+    history[projectKey] = runs.slice(-MAX_HISTORY_RUNS);
+
+    writeCacheJson(HISTORY_FILE, history);
+}
+
+/**
+ * Compares the last run of a project with the runs before it.
+ * @param {HistoryRun[]} runs The recorded runs, oldest first.
+ * @param {{ window?: number }} [options] The number of recent runs to look for flaky tests and slowdowns in.
+ * @returns {{ runs: number, newlyFailing: object[], newlyFixed: object[], flaky: object[], slower: object[] }} The number of runs looked at, and the tests and suites that changed.
+ */
+export function analyzeHistory(runs, { window = DEFAULT_HISTORY_WINDOW } = {}) {
+    const recentRuns = runs.slice(-Math.max(1, window));
+    const report = {
+        runs: recentRuns.length,
+        newlyFailing: [],
+        newlyFixed: [],
+        flaky: [],
+        slower: [],
+    };
+    const latest = recentRuns.at(-1);
+    if (!latest) return report;
+
+    const testKey = (test) => `${test.suite}\u0000${test.fullName}`;
+    const testRuns = new Map();
+    for (const run of recentRuns) {
+        for (const test of run.tests) {
+            if (test.status !== "passed" && test.status !== "failed") continue;
+            const key = testKey(test);
+            if (!testRuns.has(key)) testRuns.set(key, []);
+            testRuns.get(key).push(test);
+        }
+    }
+
+    for (const test of latest.tests) {
+        const results = testRuns.get(testKey(test));
+        if (!results || results.at(-1) !== test) continue;
+
+        const previous = results.at(-2);
+        const entry = { suite: test.suite, fullName: test.fullName };
+        if (previous?.status === "passed" && test.status === "failed") {
+            report.newlyFailing.push(entry);
+        } else if (previous?.status === "failed" && test.status === "passed") {
+            report.newlyFixed.push(entry);
+        }
+    }
+
+    // Tests whose status flips back and forth, or that only passed on retry, are flaky candidates
+    for (const results of testRuns.values()) {
+        let flips = 0;
+        for (let i = 1; i < results.length; i++) {
+            if (results[i].status !== results[i - 1].status) flips++;
+        }
+        const retried = results.filter(
+            (test) => test.status === "passed" && test.invocations > 1,
+        ).length;
+        if (flips >= 2 || retried > 0) {
+            const [{ suite, fullName }] = results;
+            report.flaky.push({
+                suite,
+                fullName,
+                flips,
+                retried,
+                runs: results.length,
+            });
+        }
+    }
+    report.flaky.sort((a, b) => b.flips + b.retried - (a.flips + a.retried));
+
+    for (const suite of latest.suites) {
+        if (!Number.isFinite(suite.duration)) continue;
+        const previousDurations = recentRuns
+            .slice(0, -1)
+            .flatMap((run) =>
+                run.suites.filter(
+                    (candidate) =>
+                        candidate.path === suite.path &&
+                        Number.isFinite(candidate.duration),
+                ),
+            )
+            .map((candidate) => candidate.duration);
+        if (previousDurations.length === 0) continue;
+
+        const usualDuration = median(previousDurations);
+        if (
+            suite.duration >= usualDuration * SLOWDOWN_RATIO &&
+            suite.duration - usualDuration >= MIN_SLOWDOWN_MS
+        ) {
+            report.slower.push({
+                suite: suite.path,
+                duration: suite.duration,
+                usualDuration,
+            });
+        }
+    }
+    report.slower.sort(
+        (a, b) => b.duration / b.usualDuration - a.duration / a.usualDuration,
+    );
+
+    return report;
+}
+
+/**
+ * Formats the analysis of a project's history for the terminal.
+ * @param {ReturnType<typeof analyzeHistory>} report The analysis.
+ * @param {HistoryRun | undefined} latest The last run of the project.
+ * @returns {string} The formatted report.
+ */
+export function formatHistoryReport(report, latest) {
+    if (!latest) {
+        return "No test runs recorded for this project yet.";
+    }
+
+    const lines = [
+        `Last run: ${new Date(latest.timestamp).toLocaleString()}${latest.commit ? ` at ${latest.commit.slice(0, 7)}` : ""} (looking at ${report.runs} run(s))`,
+    ];
+    const section = (title, entries, format) => {
+        lines.push("", chalk.bold(`${title} (${entries.length})`));
+        if (entries.length === 0) {
+            lines.push(chalk.dim("  None"));
+        }
+        for (const entry of entries) {
+            lines.push(`  ${format(entry)}`);
+        }
+    };
+    const testName = (test) => `${test.fullName} ${chalk.dim(test.suite)}`;
+
+    section("Newly failing", report.newlyFailing, testName);
+    section("Newly fixed", report.newlyFixed, testName);
+    section("Flaky candidates", report.flaky, (test) => {
+        const details = [];
+        if (test.flips > 0) {
+            details.push(`flipped ${test.flips} time(s)`);
+        }
+        if (test.retried > 0) {
+            details.push(`passed on retry ${test.retried} time(s)`);
+        }
+        return `${testName(test)} (${details.join(", ")} in ${test.runs} run(s))`;
+    });
+    section(
+        "Getting slower",
+        report.slower,
+        (suite) =>
+            `${suite.suite} (${formatDuration(suite.duration)}, usually ${formatDuration(suite.usualDuration)})`,
+    );
+    return lines.join("\n");
+}
+
+/**
+ * Returns the commit SHA checked out in a directory.
+ * @param {string} cwd A directory inside the repository.
+ * @returns {string | null} The commit SHA, or null outside of a git repository.
+ */
+function getCommitSha(cwd) {
+    try {
+        return execFileSync("git", ["rev-parse", "HEAD"], {
+            cwd,
+            encoding: "utf-8",
+            stdio: ["ignore", "pipe", "ignore"],
+        }).trim();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Returns the median of a list of numbers.
+ * @param {number[]} values The numbers, at least one.
+ * @returns {number} The median.
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2
+        ? sorted[middle]
+        : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Formats a duration in milliseconds the way Jest prints test times.
+ * @param {number} duration The duration in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+function formatDuration(duration) {
+    return duration >= 1000
+        ? `${(duration / 1000).toFixed(2)} s`
+        : `${Math.round(duration)} ms`;
+}
@@ -0,0 +1,359 @@
+import type { AggregatedResult } from "@jest/test-result";
+import type { CoverageMapData } from "istanbul-lib-coverage";
+
+/**
+ * A reporter entry: a built-in name (`"default"`, `"summary"`), a module path, or a tuple of
+ * either with reporter options.
+ */
+export type ReporterEntry = string | [string, Record<string, unknown>];
+
+/**
+ * Options of the Roblox Jest CLI that are forwarded to the runtime as they are. The Roblox Jest
+ * options handled on the JS side, like `testNamePattern`, are declared in {@link JestRobloxConfig}.
+ */
+export interface JestRobloxJestOptions {
+    /** Runs all tests, even when only changed tests would run. */
+    all?: boolean;
+    /** Automatically mocks every imported module. */
+    automock?: boolean;
+    /** Stops the run after this many failed test suites, or after the first one when `true`. */
+    bail?: boolean | number;
+    /** Runs in CI mode, where new snapshots are not written automatically. */
+    ci?: boolean;
+    /** Clears mock calls and instances before every test. */
+    clearMocks?: boolean;
+    /** Forces highlighting of the test results. */
+    color?: boolean;
+    /** Alias of `color`. */
+    colors?: boolean;
+    /** Alias of `testEnvironment`. */
+    env?: string;
+    /** Shows full diffs and errors instead of a patch. */
+    expand?: boolean;
+    /** Global variables available in all test environments, as a JSON string. */
+    globals?: string;
+    /** Injects the Jest globals, like `expect` and `describe`, into every test file. */
+    injectGlobals?: boolean;
+    /** Leaves stack traces out of test failures. */
+    noStackTrace?: boolean;
+    /** A preset used as the base of the Jest config. */
+    preset?: string;
+    /** Resets the state of all mocks before every test. */
+    resetMocks?: boolean;
+    /** Resets the module registry before every test. */
+    resetModules?: boolean;
+    /** Restores the original implementation of all mocks before every test. */
+    restoreMocks?: boolean;
+    /** Paths of the directories that tests are searched in. */
+    roots?: string[];
+    /** Runs the tests serially. */
+    runInBand?: boolean;
+    /** Runs only the Roblox Jest projects with these display names. */
+    selectProjects?: string[];
+    /** Prevents tests from printing messages through the console. */
+    silent?: boolean;
+    /** Paths of the snapshot serializer modules. */
+    snapshotSerializers?: string[];
+    /** The test environment used for all tests. */
+    testEnvironment?: string;
+    /** Options passed to the test environment, as a JSON string. */
+    testEnvironmentOptions?: string;
+    /** Exit code used when tests fail. */
+    testFailureExitCode?: string | number;
+    /** Glob patterns used to detect test files. */
+    testMatch?: string[];
+    /** Regex patterns for test paths that should be skipped. */
+    testPathIgnorePatterns?: string[];
+    /** Regex patterns used to detect test files. */
+    testRegex?: string | string[];
+    /** Default timeout of a test, in milliseconds. */
+    testTimeout?: number;
+    /** Default fake timers used by the tests, e.g. `"fake"`. */
+    timers?: string;
+    /** Re-records every snapshot that fails during the run. `"all"` is the same as `true`. */
+    updateSnapshot?: boolean | "all";
+    /** Diverts all output to stderr. */
+    useStderr?: boolean;
+}
+
+/**
+ * The options of a config file, as typed by {@link defineConfig}: the options handled on the JS
+ * side and the Roblox Jest options forwarded to the runtime.
+ */
+export interface JestRobloxConfig extends JestRobloxJestOptions {
+    /** Path to the Roblox place file. Discovered from the working directory if omitted. */
+    place?: string;
+    /** Path to the Rojo project JSON file. Used to map output back to source files. */
+    project?: string;
+    /** Path to the tsconfig.json file. Used to map output back to source files. */
+    tsconfig?: string;
+    /** Path to a config file to use instead of the discovered one. Its options apply below the environment and these options. */
+    config?: string;
+    /** Maximum number of parallel workers to use. */
+    maxWorkers?: number;
+    /** Number of times a failed parallel worker is retried before its suites are reported as failed. Defaults to 1. */
+    workerRetries?: number;
+    /** Number of times the tests that failed are run again. Tests that pass on retry are reported as flaky instead of failed. */
+    retryFailed?: number;
+    /** Time before the cloud test run is aborted, formatted as `<number>[s|m|h]`. A number without a unit is read as seconds, with a warning. Defaults to `300s`. */
+    timeout?: string;
+    /** Adds a location field to test results. */
+    testLocationInResults?: boolean;
+    /** Collects and reports test coverage. */
+    coverage?: boolean;
+    /** Alias of `coverage`. */
+    collectCoverage?: boolean;
+    /** Directory that coverage reports are written to. Defaults to `coverage`. */
+    coverageDirectory?: string;
+    /** Source paths, globs or datamodel paths excluded from coverage. */
+    coveragePathIgnorePatterns?: string[];
+    /** Regex matched against test paths to select which suites run. */
+    testPathPattern?: string;
+    /** Regex matched against full test names to select which tests run. */
+    testNamePattern?: string;
+    /** Reporters to output results with. Defaults to the default and summary reporters. */
+    reporters?: ReporterEntry[];
+    /** Prints the results as JSON instead of using reporters' output only. */
+    json?: boolean;
+    /** Writes the JSON results to this file when `json` is set. */
+    outputFile?: string;
+    /** Prints the resolved options with where each came from, and the resolved Roblox Jest config, and exits. */
+    showConfig?: boolean;
+    /** Lists the test files that would run and exits. */
+    listTests?: boolean;
+    /** Exits successfully when no tests are found. */
+    passWithNoTests?: boolean;
+    /** Runs only one shard of the test suites, formatted as `<index>/<count>`, e.g. `1/3`. */
+    shard?: string;
+    /** Runs only the tests that failed in the previous run of the project. */
+    onlyFailures?: boolean;
+    /** Runs only the suites related to files changed since the last commit, including uncommitted files. */
+    onlyChanged?: boolean;
+    /** Runs only the suites related to files changed since this branch, tag or commit. */
+    changedSince?: string;
+    /** Runs only the suites that are built from or depend on these source or Luau files. */
+    findRelatedTests?: string[];
+    /** Displays individual test results with the test suite hierarchy. */
+    verbose?: boolean;
+    /** Prints the raw Luau output and keeps the output log in the cache directory. */
+    debug?: boolean;
+    /**
+     * Execution backend: `"opencloud"` (default), `"fixture"`, a path or package name of a
+     * backend module, or a backend object.
+     */
+    backend?: string | LuauBackend;
+    /** Recorded output log served by the `"fixture"` backend. */
+    fixture?: string;
+    /**
+     * Places or Rojo projects to run in one invocation, each with its own options. Their results
+     * are reported together, with one merged coverage map.
+     */
+    projects?: JestRobloxProjectConfig[];
+}
+
+/**
+ * Options accepted by {@link runJestRoblox} and {@link runTests}.
+ *
+ * Any key not listed in {@link JestRobloxConfig} is forwarded to the Roblox Jest runtime as-is,
+ * so every option documented for the Jest Roblox CLI can be used.
+ */
+export interface JestRobloxOptions extends JestRobloxConfig {
+    /** Any other option is forwarded to the Roblox Jest runtime. */
+    [option: string]: unknown;
+}
+
+/**
+ * Declares the options of a `jestrbx.config.ts` or `jestrbx.config.js` file, so editors
+ * type-check and autocomplete them. Returns the options unchanged.
+ *
+ * ```ts
+ * import { defineConfig } from "jest-roblox-assassin";
+ *
+ * export default defineConfig({ place: "test.rbxl", maxWorkers: 2 });
+ * ```
+ */
+export function defineConfig(config: JestRobloxConfig): JestRobloxConfig;
+
+/**
+ * An entry of the `projects` option: the place, Rojo project and tsconfig of one project, and
+ * the options that differ from the shared ones.
+ */
+export interface JestRobloxProjectConfig
+    extends Omit<JestRobloxConfig, "projects"> {
+    /** Name the suites of the project are reported under. Defaults to the Rojo project or place file name. */
+    displayName?: string;
+}
+
+/**
+ * The outcome of {@link runTests}.
+ */
+export interface JestRobloxRunResult {
+    /** Exit code (0 for success, 1 for failure). */
+    exitCode: number;
+    /** Aggregated results with datamodel paths rewritten to source paths. Absent if no tests ran. */
+    results?: AggregatedResult;
+    /** Istanbul coverage map keyed by local file paths, when coverage was collected. */
+    coverage?: CoverageMapData;
+    /** The global config handed to reporters. */
+    globalConfig?: Record<string, unknown>;
+    /** Source paths of the test files, when `listTests` is set. */
+    testPaths?: string[];
+    /** The resolved Roblox Jest config as text, when `showConfig` is set. */
+    config?: string | null;
+}
+
+/**
+ * Context handed to {@link LuauBackend.run}.
+ */
+export interface LuauBackendContext {
+    /** Path to the place file to run the script in. */
+    place: string;
+    /** Time before the run is aborted, formatted as `<number>[s|m|h]`. */
+    timeout: string;
+    /**
+     * Log file that the script's output must be written to. Results are streamed to reporters
+     * during the run only when output is appended as it arrives.
+     */
+    out: string;
+    /** The options the script runs Jest with. */
+    jestOptions: Record<string, unknown>;
+    /**
+     * Aborted when the run is no longer needed, e.g. after a bail in another worker. Backends
+     * should stop the script, or at least stop waiting for it; output written after it is
+     * discarded. The Open Cloud backend stops waiting, but its task keeps running in the cloud.
+     */
+    signal?: AbortSignal;
+}
+
+/**
+ * Runs the generated Luau script against a place file.
+ *
+ * A backend module passed to `--backend` default-exports a backend, or a function that
+ * receives the options and returns one.
+ */
+export interface LuauBackend {
+    /** Name of the backend, used in messages. */
+    name: string;
+    /** Runs the script, writes its output to `context.out` and resolves with the exit code. */
+    run(script: string, context: LuauBackendContext): Promise<number>;
+}
+
+/** Runs scripts through Roblox Open Cloud using rbxluau. */
+export const openCloudBackend: LuauBackend;
+
+/**
+ * Creates a backend that serves recorded output logs instead of running the script.
+ */
+export function createFixtureBackend(
+    fixture: string | ((context: LuauBackendContext) => string),
+    settings?: { exitCode?: number; lineDelayMs?: number },
+): LuauBackend;
+
+/**
+ * Resolves a `--backend` value to a backend instance.
+ */
+export function resolveBackend(
+    backend: string | LuauBackend | undefined,
+    options: JestRobloxOptions,
+): Promise<LuauBackend>;
+
+/** A node of a sourcemap generated from a Rojo project. */
+export interface SourcemapNode {
+    name: string;
+    className: string;
+    filePaths: string[];
+    children: SourcemapNode[];
+}
+
+export interface RojoProject {
+    file: string | null;
+    root: string;
+    sourcemap: SourcemapNode | undefined;
+}
+
+export interface CompilerOptions {
+    rootDir: string;
+    outDir: string;
+}
+
+/**
+ * Runs the tests and resolves to the exit code.
+ */
+export default function runJestRoblox(
+    options: JestRobloxOptions,
+): Promise<number>;
+export { runJestRoblox };
+
+/**
+ * Runs the tests and resolves to the full rewritten results.
+ */
+export function runTests(
+    options: JestRobloxOptions,
+): Promise<JestRobloxRunResult>;
+
+/** A script in the sourcemap, with the files it was built from. */
+export interface ModulePathEntry {
+    /** Absolute path to the Luau file. */
+    luauPath: string;
+    /** Absolute path to the source file the Luau file was compiled from, if found. */
+    sourcePath: string | undefined;
+    /** Class of the script instance, e.g. `ModuleScript`. */
+    className: string;
+    /** Path of the instance in the DataModel, separated by slashes. */
+    instancePath: string;
+}
+
+export class ResultRewriter {
+    constructor(options: {
+        rojoProject: RojoProject;
+        compilerOptions: CompilerOptions;
+        testLocationInResults?: boolean;
+    });
+    rojoProject: RojoProject;
+    compilerOptions: CompilerOptions;
+    projectRoot: string;
+    modulePathMap: Map<string, ModulePathEntry>;
+    luauPathMap: Map<string, ModulePathEntry>;
+    datamodelPathToSourcePath(testFilePath: string): string;
+    findTestHeaderLocation(
+        testTitle: string,
+        sourcePath: string,
+    ): { line: number; column: number } | undefined;
+    rewriteParsedResults(results: AggregatedResult): void;
+    rewriteCoverageData(coverageData: CoverageMapData): CoverageMapData;
+    convertSourcePatternsToDatamodelPatterns(
+        sourcePatterns: string[],
+    ): string[];
+    json(jestRunCliReturn: {
+        results: AggregatedResult;
+        coverage?: CoverageMapData;
+    }): Record<string, unknown>;
+}
+
+export function discoverRojoProject(projectFile?: string | null): RojoProject;
+export function findPlaceFile(cwd?: string): string | null;
+export function discoverCompilerOptions(file?: string | null): CompilerOptions;
+export function discoverTestFilesFromFilesystem(
+    compilerOptions: CompilerOptions,
+    jestOptions: JestRobloxOptions,
+): string[];
+export function discoverTestFilesFromSourcemap(
+    modulePathMap: Map<string, ModulePathEntry>,
+    jestOptions: JestRobloxOptions,
+): string[];
+/** Lists the files changed in the git repository that contains `cwd`, as absolute paths. */
+export function getChangedFiles(cwd: string, changedSince?: string): Set<string>;
+/** Finds the slash-separated instance paths that a Luau module requires. */
+export function parseRequires(source: string, instancePath: string): string[];
+/** Maps the instance path of each script to the scripts that require it. */
+export function buildDependentsGraph(
+    modulePathMap: Map<string, ModulePathEntry>,
+): Map<string, Set<string>>;
+/** Finds the scripts built from the given files and every script that requires them, as instance paths. */
+export function findRelatedScripts(
+    modulePathMap: Map<string, ModulePathEntry>,
+    files: Iterable<string>,
+): Set<string>;
+export function createSourcemap(
+    projectFilePath: string,
+): SourcemapNode | undefined;
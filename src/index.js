@@ -0,0 +1,26 @@
+export {
+    createFixtureBackend,
+    openCloudBackend,
+    resolveBackend,
+} from "./backends.js";
+export { defineConfig } from "./config.js";
+export {
+    buildDependentsGraph,
+    findRelatedScripts,
+    getChangedFiles,
+    parseRequires,
+} from "./dependencies.js";
+export {
+    discoverCompilerOptions,
+    discoverRojoProject,
+    discoverTestFilesFromFilesystem,
+    discoverTestFilesFromSourcemap,
+    findPlaceFile,
+} from "./discovery.js";
+export { ResultRewriter } from "./rewriter.js";
+export {
+    default,
+    default as runJestRoblox,
+    runTests,
+} from "./runJestRoblox.js";
+export { createSourcemap } from "./sourcemap.js";
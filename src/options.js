@@ -0,0 +1,387 @@
+import { parseShard } from "./shard.js";
+
+/**
+ * The types accepted by the options handled on the JS side, which take precedence over the types
+ * documented for the Roblox Jest CLI.
+ */
+export const JS_OPTION_TYPES = {
+    place: ["string"],
+    project: ["string"],
+    tsconfig: ["string"],
+    config: ["string"],
+    projects: ["array"],
+    maxWorkers: ["number"],
+    workerRetries: ["number"],
+    retryFailed: ["number"],
+    timeout: ["string", "number"],
+    shard: ["string"],
+    backend: ["string", "object", "function"],
+    fixture: ["string"],
+    onlyFailures: ["boolean"],
+    onlyChanged: ["boolean"],
+    changedSince: ["string"],
+    findRelatedTests: ["boolean", "array"],
+    watch: ["boolean"],
+    watchAll: ["boolean"],
+    watchSources: ["boolean"],
+    build: ["string", "array"],
+    testPathPattern: ["string"],
+    testNamePattern: ["string"],
+    testLocationInResults: ["boolean"],
+    coverage: ["boolean"],
+    collectCoverage: ["boolean"],
+    coverageDirectory: ["string"],
+    coveragePathIgnorePatterns: ["array"],
+    reporters: ["array"],
+    json: ["boolean"],
+    outputFile: ["string"],
+    useStderr: ["boolean"],
+    verbose: ["boolean"],
+    debug: ["boolean"],
+    bail: ["boolean", "number"],
+    passWithNoTests: ["boolean"],
+    updateSnapshot: ["boolean", "string"],
+    listTests: ["boolean"],
+    showConfig: ["boolean"],
+};
+
+/**
+ * The options of the Roblox Jest CLI that can be set from the JS side, with their types. Options
+ * that take a Roblox instance, like `rootDir` and `setupFiles`, can only be set in the
+ * `jest.config` of the place.
+ */
+export const ROBLOX_JEST_OPTION_TYPES = {
+    all: ["boolean"],
+    automock: ["boolean"],
+    bail: ["boolean", "number"],
+    changedSince: ["string"],
+    ci: ["boolean"],
+    clearMocks: ["boolean"],
+    color: ["boolean"],
+    colors: ["boolean"],
+    config: ["string"],
+    coverage: ["boolean"],
+    debug: ["boolean"],
+    env: ["string"],
+    expand: ["boolean"],
+    globals: ["string"],
+    injectGlobals: ["boolean"],
+    json: ["boolean"],
+    listTests: ["boolean"],
+    maxWorkers: ["number", "string"],
+    noStackTrace: ["boolean"],
+    outputFile: ["string"],
+    passWithNoTests: ["boolean"],
+    preset: ["string"],
+    projects: ["array"],
+    resetMocks: ["boolean"],
+    resetModules: ["boolean"],
+    restoreMocks: ["boolean"],
+    roots: ["array"],
+    runInBand: ["boolean"],
+    selectProjects: ["array"],
+    showConfig: ["boolean"],
+    silent: ["boolean"],
+    snapshotSerializers: ["array"],
+    testEnvironment: ["string"],
+    testEnvironmentOptions: ["string"],
+    testFailureExitCode: ["string", "number"],
+    testLocationInResults: ["boolean"],
+    testMatch: ["array"],
+    testNamePattern: ["string"],
+    testPathIgnorePatterns: ["array"],
+    testPathPattern: ["string", "array"],
+    testRegex: ["string", "array"],
+    testTimeout: ["number"],
+    timers: ["string"],
+    updateSnapshot: ["boolean", "string"],
+    useStderr: ["boolean"],
+    verbose: ["boolean"],
+};
+
+/**
+ * Options that change what a run selects or prints in ways that cannot be combined.
+ */
+const CONFLICTING_OPTIONS = [
+    ["showConfig", "listTests"],
+    ["findRelatedTests", "onlyChanged"],
+    ["findRelatedTests", "changedSince"],
+    ["onlyFailures", "findRelatedTests"],
+    ["onlyFailures", "onlyChanged"],
+    ["onlyFailures", "changedSince"],
+];
+
+/**
+ * An unknown option is suggested the known option closest to it, within this edit distance.
+ */
+const MAX_SUGGESTION_DISTANCE = 2;
+
+/**
+ * Builds the types of every known option from the JS-side options and the options documented
+ * for the Roblox Jest CLI, falling back to the bundled Roblox Jest options when the docs are
+ * not available.
+ * @param {{ name: string, type: string }[]} [cliOptions] The documented CLI options, as returned by `getCliOptions`.
+ * @returns {Record<string, string[]>} The accepted types of each option. An empty list accepts any value.
+ */
+export function getOptionTypes(cliOptions = []) {
+    const types = {};
+    for (const option of cliOptions) {
+        const name = option.name.replace(/^--/, "");
+        types[name] = ["boolean", "number", "string", "array"].filter((type) =>
+            option.type.includes(type),
+        );
+    }
+    return { ...ROBLOX_JEST_OPTION_TYPES, ...types, ...JS_OPTION_TYPES };
+}
+
+/**
+ * Checks resolved options before anything runs: unknown options, values of the wrong type or
+ * out of range, and options that cannot be used together.
+ * @param {object} options The resolved options.
+ * @param {{ cliOptions?: { name: string, type: string }[], sources?: Record<string, import("./config.js").OptionSource> }} [context] The documented Roblox Jest CLI options, and where each option came from.
+ * @returns {string[]} The problems found, empty when the options are valid.
+ */
+export function validateOptions(
+    options,
+    { cliOptions = [], sources = {} } = {},
+) {
+    const types = getOptionTypes(cliOptions);
+    const problems = [];
+    const checkOptions = (entry, prefix, source) => {
+        for (const [key, value] of Object.entries(entry)) {
+            if (value === undefined) continue;
+            const name = `${prefix}${key}`;
+            const origin = source(key);
+
+            if (!(key in types)) {
+                const suggestion = suggestOption(key, Object.keys(types));
+                problems.push(
+                    `Unknown option "${name}"${origin}.${suggestion ? ` Did you mean "${suggestion}"?` : ""}`,
+                );
+                continue;
+            }
+
+            const accepted = types[key];
+            const type = typeOf(value);
+            if (accepted.length > 0 && !accepted.includes(type)) {
+                problems.push(
+                    `Option "${name}" must be ${accepted.map((candidate) => `a ${candidate}`).join(" or ")}, but got ${type} ${formatValue(value)}${origin}.`,
+                );
+                continue;
+            }
+
+            const rangeProblem = checkRange(key, value);
+            if (rangeProblem) {
+                problems.push(`Option "${name}" ${rangeProblem}${origin}.`);
+            }
+        }
+    };
+    const findConflicts = (entry) => {
+        const conflicts = CONFLICTING_OPTIONS.filter(
+            ([first, second]) => entry[first] && entry[second],
+        ).map(
+            ([first, second]) =>
+                `Options "${first}" and "${second}" cannot be used together`,
+        );
+        if (entry.fixture && entry.backend !== "fixture") {
+            conflicts.push(
+                'Option "fixture" only applies to the fixture backend; add --backend fixture',
+            );
+        }
+        if (entry.watchSources && !entry.watch && !entry.watchAll) {
+            conflicts.push(
+                'Option "watchSources" only applies in watch mode; add --watchAll',
+            );
+        }
+        return conflicts;
+    };
+
+    checkOptions(options, "", (key) => describeOrigin(sources[key]));
+    const sharedConflicts = findConflicts(options);
+    problems.push(...sharedConflicts.map((conflict) => `${conflict}.`));
+
+    const projects = Array.isArray(options.projects) ? options.projects : [];
+    for (const [index, entry] of projects.entries()) {
+        // String entries are Roblox Jest project paths, forwarded as they are
+        if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+            continue;
+        }
+        const { displayName, ...overrides } = entry;
+        if (displayName !== undefined && typeof displayName !== "string") {
+            problems.push(
+                `Option "projects[${index}].displayName" must be a string, but got ${typeOf(displayName)} ${formatValue(displayName)}.`,
+            );
+        }
+        checkOptions(overrides, `projects[${index}].`, () => "");
+
+        // Conflicts of the shared options are not repeated for each project
+        for (const conflict of findConflicts({ ...options, ...overrides })) {
+            if (!sharedConflicts.includes(conflict)) {
+                problems.push(`${conflict} in projects[${index}].`);
+            }
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Finds option values that are valid but likely not what was meant, such as a `--timeout`
+ * without a unit.
+ * @param {object} options The resolved options, already validated.
+ * @param {{ sources?: Record<string, import("./config.js").OptionSource> }} [context] Where each option came from.
+ * @returns {string[]} The warnings, empty when there are none.
+ */
+export function getOptionWarnings(options, { sources = {} } = {}) {
+    const warnings = [];
+    const checkTimeout = (timeout, name, origin) => {
+        if (
+            timeout === undefined ||
+            !/^\d+(?:\.\d+)?$/.test(String(timeout).trim())
+        ) {
+            return;
+        }
+        warnings.push(
+            `Option "${name}" has no unit, so ${formatValue(timeout)} is read as ${Number(timeout)} seconds${origin}. Add s, m or h to the value, e.g. "${Number(timeout)}s".`,
+        );
+    };
+
+    checkTimeout(options.timeout, "timeout", describeOrigin(sources.timeout));
+    const projects = Array.isArray(options.projects) ? options.projects : [];
+    for (const [index, entry] of projects.entries()) {
+        if (entry && typeof entry === "object") {
+            checkTimeout(entry.timeout, `projects[${index}].timeout`, "");
+        }
+    }
+    return warnings;
+}
+
+/**
+ * Parses a `--timeout` value formatted as `<number>[s|m|h]`, in seconds without a unit.
+ * @param {string | number} timeout The timeout.
+ * @returns {number | undefined} The timeout in milliseconds, or undefined if it cannot be parsed.
+ */
+export function parseTimeout(timeout) {
+    const match = /^(\d+(?:\.\d+)?)\s*(s|m|h)?$/.exec(String(timeout).trim());
+    if (!match) return undefined;
+    const unitMs = { s: 1000, m: 60000, h: 3600000 }[match[2] ?? "s"];
+    return Number(match[1]) * unitMs;
+}
+
+/**
+ * Checks the values of options that only accept part of their type.
+ * @param {string} key The option.
+ * @param {unknown} value Its value, of an accepted type.
+ * @returns {string | undefined} What is wrong with the value, if anything.
+ */
+function checkRange(key, value) {
+    switch (key) {
+        case "maxWorkers":
+            return Number.isInteger(value) && value >= 1
+                ? undefined
+                : `must be a positive integer, but got ${value}`;
+        case "workerRetries":
+        case "retryFailed":
+            return Number.isInteger(value) && value >= 0
+                ? undefined
+                : `must be zero or a positive integer, but got ${value}`;
+        case "timeout":
+            return parseTimeout(value) === undefined
+                ? `must be formatted as <number>[s|m|h], but got ${formatValue(value)}`
+                : undefined;
+        case "updateSnapshot":
+            return typeof value === "boolean" || value === "all"
+                ? undefined
+                : `must be a boolean or "all", but got ${formatValue(value)}`;
+        case "shard":
+            try {
+                parseShard(value);
+                return undefined;
+            } catch (error) {
+                return error.message.replace(/^The --shard (option )?/, "");
+            }
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Finds the known option an unknown one was most likely meant to be.
+ * @param {string} key The unknown option.
+ * @param {string[]} knownOptions The known options.
+ * @returns {string | undefined} The closest known option, if one is close enough.
+ */
+function suggestOption(key, knownOptions) {
+    let best;
+    let bestDistance = MAX_SUGGESTION_DISTANCE + 1;
+    for (const candidate of knownOptions) {
+        const distance = editDistance(
+            key.toLowerCase(),
+            candidate.toLowerCase(),
+        );
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+/**
+ * Returns the Levenshtein distance between two strings.
+ * @param {string} a The first string.
+ * @param {string} b The second string.
+ * @returns {number} The number of edits that turn one into the other.
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Returns the type of a value the way option types are named.
+ * @param {unknown} value The value.
+ * @returns {string} `"array"`, `"null"`, or the `typeof` of the value.
+ */
+function typeOf(value) {
+    if (Array.isArray(value)) return "array";
+    if (value === null) return "null";
+    return typeof value;
+}
+
+/**
+ * Formats a value for an error message.
+ * @param {unknown} value The value.
+ * @returns {string} The value as JSON, or its type when it cannot be shown.
+ */
+function formatValue(value) {
+    if (typeof value === "function") return "[function]";
+    try {
+        return JSON.stringify(value) ?? String(value);
+    } catch {
+        return String(value);
+    }
+}
+
+/**
+ * Describes where an option came from, for an error message.
+ * @param {import("./config.js").OptionSource} [source] Where the option came from.
+ * @returns {string} The description, starting with a space, or nothing for the CLI.
+ */
+function describeOrigin(source) {
+    if (!source || source.layer === "cli") return "";
+    return source.from
+        ? ` (from ${source.layer} ${source.from})`
+        : ` (from ${source.layer})`;
+}
@@ -0,0 +1,143 @@
+import {
+    DefaultReporter,
+    SummaryReporter,
+    VerboseReporter,
+} from "@jest/reporters";
+import path from "path";
+import { pathToFileURL } from "url";
+
+/**
+ * Loads and instantiates the reporters requested by the options.
+ * Falls back to the default and summary reporters when none are specified.
+ * @param {object} options The CLI options containing reporters and verbose.
+ * @param {object} globalConfig The global config handed to each reporter.
+ * @returns {Promise<object[]>} The reporter instances.
+ */
+export async function loadReporters(options, globalConfig) {
+    const reporterConfigs = [];
+
+    if (options.reporters && options.reporters.length > 0) {
+        // Custom reporters specified
+        for (const reporterEntry of options.reporters) {
+            // Reporter can be a string or [string, options]
+            const reporterName = Array.isArray(reporterEntry)
+                ? reporterEntry[0]
+                : reporterEntry;
+            const reporterOptions = Array.isArray(reporterEntry)
+                ? reporterEntry[1]
+                : undefined;
+
+            if (reporterName === "default") {
+                reporterConfigs.push({
+                    Reporter: DefaultReporter,
+                    options: reporterOptions,
+                });
+            } else if (reporterName === "summary") {
+                reporterConfigs.push({
+                    Reporter: SummaryReporter,
+                    options: reporterOptions,
+                });
+            } else {
+                try {
+                    // Convert absolute paths to file URLs for ESM loader compatibility
+                    let moduleToImport = reporterName;
+                    if (path.isAbsolute(reporterName)) {
+                        moduleToImport = pathToFileURL(reporterName).href;
+                    }
+                    const ReporterModule = await import(moduleToImport);
+                    if (ReporterModule) {
+                        reporterConfigs.push({
+                            Reporter: ReporterModule.default ?? ReporterModule,
+                            options: reporterOptions,
+                        });
+                    } else {
+                        console.warn(
+                            `Reporter module "${reporterName}" does not have a default export.`,
+                        );
+                    }
+                } catch (error) {
+                    console.warn(
+                        `Failed to load reporter module "${reporterName}": ${error.message}`,
+                    );
+                }
+            }
+        }
+    } else {
+        // Default reporters
+        reporterConfigs.push({
+            Reporter: options.verbose ? VerboseReporter : DefaultReporter,
+            options: undefined,
+        });
+        reporterConfigs.push({ Reporter: SummaryReporter, options: undefined });
+    }
+
+    return reporterConfigs.map(
+        ({ Reporter, options: reporterOptions }) =>
+            new Reporter(globalConfig, reporterOptions),
+    );
+}
+
+/**
+ * Forwards run lifecycle events to a set of reporters, calling whichever
+ * variant of each hook a reporter implements, like Jest's own dispatcher.
+ */
+export class ReporterDispatcher {
+    /**
+     * @param {object[]} reporters The reporter instances to dispatch to.
+     */
+    constructor(reporters) {
+        this.reporters = reporters;
+    }
+
+    async onRunStart(aggregatedResults, options) {
+        for (const reporter of this.reporters) {
+            if (typeof reporter.onRunStart === "function") {
+                await reporter.onRunStart(aggregatedResults, options);
+            }
+        }
+    }
+
+    async onTestFileStart(test) {
+        for (const reporter of this.reporters) {
+            if (typeof reporter.onTestFileStart === "function") {
+                await reporter.onTestFileStart(test);
+            } else if (typeof reporter.onTestStart === "function") {
+                await reporter.onTestStart(test);
+            }
+        }
+    }
+
+    async onTestCaseResult(test, testCaseResult) {
+        for (const reporter of this.reporters) {
+            if (typeof reporter.onTestCaseResult === "function") {
+                await reporter.onTestCaseResult(test, testCaseResult);
+            }
+        }
+    }
+
+    async onTestFileResult(test, testResult, aggregatedResults) {
+        for (const reporter of this.reporters) {
+            if (typeof reporter.onTestFileResult === "function") {
+                await reporter.onTestFileResult(
+                    test,
+                    testResult,
+                    aggregatedResults,
+                );
+            } else if (typeof reporter.onTestResult === "function") {
+                await reporter.onTestResult(
+                    test,
+                    testResult,
+                    aggregatedResults,
+                );
+            }
+        }
+    }
+
+    async onRunComplete(testContexts, aggregatedResults) {
+        for (const reporter of this.reporters) {
+            if (typeof reporter.onRunComplete === "function") {
+                await reporter.onRunComplete(testContexts, aggregatedResults);
+            }
+        }
+    }
+}
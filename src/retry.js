@@ -0,0 +1,161 @@
+/**
+ * A test that failed at first and passed when it was retried.
+ * @typedef {object} FlakyTest
+ * @property {string} testFilePath The test path of its suite, as reported by the runtime.
+ * @property {string} fullName The full name of the test.
+ * @property {number} invocations The number of times the test ran.
+ */
+
+/**
+ * Selects what to run again to retry the failed tests of a run.
+ * @param {object[]} testResults The suite results, with test paths as reported by the runtime.
+ * @returns {{ suites: string[], testNames?: string[] }} The test paths of the suites with failures, and the full names of the failed tests. A suite that failed to run has no test names to select, so none are returned then.
+ */
+export function selectFailedTests(testResults) {
+    const suites = [];
+    const testNames = [];
+    let execError = false;
+    for (const suite of testResults ?? []) {
+        const failedTests = (suite.testResults ?? []).filter(
+            (testResult) => testResult.status === "failed",
+        );
+        if (failedTests.length === 0 && !suite.testExecError) continue;
+
+        suites.push(suite.testFilePath);
+        testNames.push(...failedTests.map((testResult) => testResult.fullName));
+        execError ||= Boolean(suite.testExecError);
+    }
+    return { suites, testNames: execError ? undefined : testNames };
+}
+
+/**
+ * Merges the suites of a retry into the results of a run. Failed tests take their result from
+ * the retry, with their earlier failures kept as `retryReasons` and counted in `invocations`,
+ * the way `jest.retryTimes` reports them. Suite and run counts are updated to match.
+ * @param {object} results The aggregated results of the run, updated in place.
+ * @param {object[]} retriedSuites The suite results of the retry.
+ * @returns {{ suites: object[], flaky: FlakyTest[] }} The merged suites of the run, and the tests that passed on retry.
+ */
+export function mergeRetriedSuites(results, retriedSuites) {
+    const merged = [];
+    const flaky = [];
+    for (const retried of retriedSuites ?? []) {
+        const index = results.testResults.findIndex(
+            (suite) => suite.testFilePath === retried.testFilePath,
+        );
+        if (index === -1) continue;
+
+        const original = results.testResults[index];
+        const wasFailed = isFailedSuite(original);
+        const originalTests = original.testResults ?? [];
+        let suite = original;
+        if (original.testExecError) {
+            // A suite that failed to run has no tests to merge, so the retry replaces it
+            if (retried.testExecError) continue;
+            const reason =
+                original.failureMessage ?? original.testExecError.message;
+            suite = {
+                ...retried,
+                testResults: (retried.testResults ?? []).map((testResult) =>
+                    testResult.status === "passed" ||
+                    testResult.status === "failed"
+                        ? retryTestResult(testResult, 1, [reason])
+                        : testResult,
+                ),
+            };
+        } else {
+            suite.testResults = originalTests.map((testResult) => {
+                if (testResult.status !== "failed") return testResult;
+                const retriedTest = retried.testResults?.find(
+                    (candidate) =>
+                        candidate.fullName === testResult.fullName &&
+                        (candidate.status === "passed" ||
+                            candidate.status === "failed"),
+                );
+                if (!retriedTest) return testResult;
+                return retryTestResult(
+                    retriedTest,
+                    testResult.invocations ?? 1,
+                    [
+                        ...(testResult.retryReasons ?? []),
+                        testResult.failureMessages.join("\n"),
+                    ],
+                );
+            });
+            suite.failureMessage = suite.testResults.some(
+                (testResult) => testResult.status === "failed",
+            )
+                ? retried.failureMessage
+                : null;
+        }
+
+        // Update the counts of the suite and the run by what changed
+        const count = (status) =>
+            suite.testResults.filter(
+                (testResult) => testResult.status === status,
+            ).length;
+        const numFailingTests = count("failed");
+        const numPassingTests = count("passed");
+        results.numFailedTests += numFailingTests - original.numFailingTests;
+        results.numPassedTests += numPassingTests - original.numPassingTests;
+        suite.numFailingTests = numFailingTests;
+        suite.numPassingTests = numPassingTests;
+        if (original.testExecError && !suite.testExecError) {
+            results.numRuntimeErrorTestSuites -= 1;
+            results.numTotalTests += suite.testResults.length;
+            results.numPendingTests += suite.numPendingTests ?? 0;
+            results.numTodoTests += suite.numTodoTests ?? 0;
+        }
+        if (wasFailed && !isFailedSuite(suite)) {
+            results.numFailedTestSuites -= 1;
+            results.numPassedTestSuites += 1;
+        }
+
+        // Tests that were not retried this time keep their result object
+        for (const testResult of suite.testResults) {
+            if (
+                testResult.status === "passed" &&
+                testResult.invocations > 1 &&
+                !originalTests.includes(testResult)
+            ) {
+                flaky.push({
+                    testFilePath: suite.testFilePath,
+                    fullName: testResult.fullName,
+                    invocations: testResult.invocations,
+                });
+            }
+        }
+        results.testResults[index] = suite;
+        merged.push(suite);
+    }
+
+    results.success =
+        results.numFailedTestSuites === 0 &&
+        results.numRuntimeErrorTestSuites === 0 &&
+        !results.snapshot?.failure;
+    return { suites: merged, flaky };
+}
+
+/**
+ * Builds the result of a test that ran again after failing.
+ * @param {object} testResult The result of the latest attempt.
+ * @param {number} previousInvocations The number of times the test ran before.
+ * @param {string[]} retryReasons The failures of the previous attempts.
+ * @returns {object} The test result.
+ */
+function retryTestResult(testResult, previousInvocations, retryReasons) {
+    return {
+        ...testResult,
+        invocations: previousInvocations + (testResult.invocations ?? 1),
+        retryReasons,
+    };
+}
+
+/**
+ * Whether a suite counts as failed, the way Jest counts `numFailedTestSuites`.
+ * @param {object} suite The suite result.
+ * @returns {boolean} Whether the suite failed.
+ */
+function isFailedSuite(suite) {
+    return Boolean(suite.testExecError) || suite.numFailingTests > 0;
+}
@@ -22,8 +22,9 @@ export class ResultRewriter {
             : path.join(projectRoot, outDirRelative);
 
         /**
-         * A map from datamodel paths to their corresponding Luau and source file paths.
-         * @type {Map<string, { luauPath: string, sourcePath: string | undefined }>}
+         * A map from datamodel paths to their corresponding Luau and source file paths,
+         * along with the class and slash-separated instance path of each script.
+         * @type {Map<string, { luauPath: string, sourcePath: string | undefined, className: string, instancePath: string }>}
          */
         this.modulePathMap = (() => {
             const map = new Map();
@@ -95,7 +96,12 @@ export class ResultRewriter {
                             }
                         }
                     }
-                    const entry = { luauPath: absoluteLuauPath, sourcePath };
+                    const entry = {
+                        luauPath: absoluteLuauPath,
+                        sourcePath,
+                        className: child.className,
+                        instancePath: [...parents, child.name].join("/")
+                    };
                     map.set(datamodelPath, entry);
                     this.luauPathMap.set(absoluteLuauPath, entry);
                 }
@@ -639,6 +645,11 @@ export class ResultRewriter {
                         testResult.failureMessages
                     );
                 }
+                if (Array.isArray(testResult.retryReasons)) {
+                    testResult.retryReasons = this.rewriteFailureMessages(
+                        testResult.retryReasons
+                    );
+                }
             }
         }
 
@@ -685,6 +696,12 @@ export class ResultRewriter {
         for (const suite of results.testResults) {
             this.rewriteSuiteResult(suite);
         }
+        // Obsolete snapshots are reported per test file
+        for (const file of results.snapshot?.uncheckedKeysByFile ?? []) {
+            file.filePath = path.resolve(
+                this.datamodelPathToSourcePath(file.filePath)
+            );
+        }
     }
 
     /**
@@ -733,25 +750,24 @@ export class ResultRewriter {
             results.coverageMap = jestRunCliReturn.coverage;
         }
 
-        for (const suite of results.testResults) {
-            suite.message = suite.failureMessage ?? "";
-            delete suite.failureMessage;
-
-            suite.assertionResults = suite.testResults || [];
-            delete suite.testResults;
-
-            suite.name = suite.testFilePath;
-            delete suite.testFilePath;
-
-            let overallPassed = true;
-            for (const testResult of suite.testResults || []) {
-                if (testResult.status === "failed") {
-                    overallPassed = false;
-                    break;
-                }
-            }
+        // Build new suite objects so the original results stay usable by callers
+        results.testResults = (results.testResults || []).map((original) => {
+            const { failureMessage, testResults, testFilePath, ...suite } =
+                original;
+            suite.message = failureMessage ?? "";
+            suite.assertionResults = testResults || [];
+            suite.name = testFilePath;
+
+            // Suites that failed to run, like interrupted ones, have no failing assertions
+            const overallPassed =
+                !suite.testExecError &&
+                !(suite.numFailingTests > 0) &&
+                !suite.assertionResults.some(
+                    (testResult) => testResult.status === "failed"
+                );
             suite.status = overallPassed ? "passed" : "failed";
-        }
+            return suite;
+        });
         return results;
     }
 
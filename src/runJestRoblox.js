@@ -1,35 +1,254 @@
 import { TestPathPatterns } from "@jest/pattern";
 import {
-    DefaultReporter,
-    SummaryReporter,
-    VerboseReporter,
-} from "@jest/reporters";
+    addResult,
+    buildFailureTestResult,
+    makeEmptyAggregatedTestResult,
+} from "@jest/test-result";
 import fs from "fs";
 import libCoverage from "istanbul-lib-coverage";
 import libReport from "istanbul-lib-report";
 import reports from "istanbul-reports";
-import fetch from "node-fetch";
 import path from "path";
 import process from "process";
-import { executeLuau } from "rbxluau";
-import { pathToFileURL } from "url";
 import { zstdDecompressSync } from "zlib";
+import { resolveBackend } from "./backends.js";
 import { ensureCache } from "./cache.js";
+import { formatShowConfig, resolveOptions } from "./config.js";
+import { findRelatedScripts, getChangedFiles } from "./dependencies.js";
+import { loadCachedCliOptions } from "./docs.js";
 import {
     discoverCompilerOptions,
     discoverRojoProject,
     discoverTestFilesFromFilesystem,
+    discoverTestFilesFromSourcemap,
     findPlaceFile,
+    getProjectKey,
 } from "./discovery.js";
+import { loadFailures, recordFailures } from "./failures.js";
+import { recordHistory } from "./history.js";
+import {
+    getOptionTypes,
+    getOptionWarnings,
+    parseTimeout,
+    ROBLOX_JEST_OPTION_TYPES,
+    validateOptions,
+} from "./options.js";
+import { loadReporters, ReporterDispatcher } from "./reporters.js";
+import { mergeRetriedSuites, selectFailedTests } from "./retry.js";
 import { ResultRewriter } from "./rewriter.js";
+import { parseShard, selectShard } from "./shard.js";
+import {
+    findObsoleteSnapshotFiles,
+    readLocalSnapshots,
+    writeSnapshotFiles,
+} from "./snapshots.js";
+import {
+    EVENT_END_MARKER,
+    EVENT_START_MARKER,
+    LogTailer,
+    assemblePayloadChunks,
+    parseEventFrames,
+    stripEventFrames,
+} from "./stream.js";
+import { loadTimings, partitionByDuration, recordTimings } from "./timings.js";
 
 /**
  * Executes JestRoblox with the given options, collects results and outputs them using reporters.
  * The options can also affect the behavior of what is done with the results.
- * @param {object} options The CLI options to run JestRoblox with.
+ * @param {import("./index").JestRobloxOptions} options The CLI options to run JestRoblox with.
  * @returns {Promise<number>} Exit code (0 for success, 1 for failure).
  */
 export default async function runJestRoblox(options) {
+    return (await runTests(options)).exitCode;
+}
+
+/**
+ * Executes JestRoblox like {@link runJestRoblox}, but resolves to the full rewritten results
+ * instead of only the exit code. Reporters, coverage reports and `--json` output still run.
+ * @param {import("./index").JestRobloxOptions} options The options to run JestRoblox with.
+ * @returns {Promise<import("./index").JestRobloxRunResult>} The run result.
+ */
+export async function runTests(options) {
+    // Layer the options: defaults < config file < environment < CLI
+    const cliOptions = loadCachedCliOptions();
+    let resolved;
+    try {
+        resolved = await resolveOptions(options, {
+            types: getOptionTypes(cliOptions),
+        });
+    } catch (error) {
+        console.error(error.message);
+        return { exitCode: 1 };
+    }
+    const { sources } = resolved;
+    options = resolved.options;
+
+    // Mistakes are reported before any cloud time is spent on them
+    const problems = validateOptions(options, { cliOptions, sources });
+    if (problems.length > 0) {
+        console.error(
+            `Invalid options:\n${problems.map((problem) => `  ${problem}`).join("\n")}`,
+        );
+        return { exitCode: 1 };
+    }
+    for (const warning of getOptionWarnings(options, { sources })) {
+        console.warn(warning);
+    }
+
+    if (
+        Array.isArray(options.projects) &&
+        options.projects.some((entry) => entry && typeof entry === "object")
+    ) {
+        return runProjects(options, sources);
+    }
+    return runProject(options, undefined, sources);
+}
+
+/**
+ * Runs every entry of a `projects` config, each with its own place, Rojo project and
+ * `ResultRewriter`, concurrently. Their suites are reported as they finish, and then
+ * together in one aggregated report with one merged coverage map.
+ * @param {import("./index").JestRobloxOptions} options The options, with the project entries in `projects`.
+ * @param {Record<string, import("./config.js").OptionSource>} sources Where each option came from, for `--showConfig`.
+ * @returns {Promise<import("./index").JestRobloxRunResult>} The combined run result.
+ */
+async function runProjects(options, sources) {
+    const { projects, ...sharedOptions } = options;
+    for (const [index, entry] of projects.entries()) {
+        if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+            console.error(
+                `Invalid projects entry at index ${index}: expected an object with a place, project, tsconfig and option overrides.`,
+            );
+            return { exitCode: 1 };
+        }
+    }
+
+    // Configs and test lists are printed for each project in turn, without reporters
+    if (sharedOptions.showConfig || sharedOptions.listTests) {
+        let exitCode = 0;
+        for (const [index, entry] of projects.entries()) {
+            const { displayName, ...overrides } = entry;
+            const projectSources = { ...sources };
+            for (const key of Object.keys(overrides)) {
+                projectSources[key] = {
+                    layer: "config",
+                    from: `projects[${index}]`,
+                };
+            }
+            const run = await runProject(
+                { ...sharedOptions, ...overrides },
+                undefined,
+                projectSources,
+            );
+            exitCode ||= run.exitCode;
+        }
+        return { exitCode };
+    }
+
+    const actualStartTime = Date.now();
+    const globalConfig = {
+        ...sharedOptions,
+        rootDir: process.cwd(),
+        testPathPatterns: new TestPathPatterns(
+            sharedOptions.testPathPattern
+                ? [sharedOptions.testPathPattern]
+                : [],
+        ),
+    };
+    const dispatcher = new ReporterDispatcher(
+        await loadReporters(sharedOptions, globalConfig),
+    );
+    const liveResults = makeEmptyAggregatedTestResult();
+    liveResults.startTime = actualStartTime;
+    await dispatcher.onRunStart(liveResults, {
+        estimatedTime: 0,
+        showStatus: true,
+    });
+
+    const runs = await Promise.all(
+        projects.map(async (entry, index) => {
+            const { displayName, ...overrides } = entry;
+            const projectName =
+                displayName ??
+                path.basename(
+                    overrides.project ?? overrides.place ?? `${index + 1}`,
+                );
+            try {
+                return await runProject(
+                    { ...sharedOptions, ...overrides },
+                    { dispatcher, liveResults, displayName: projectName },
+                );
+            } catch (error) {
+                console.error(
+                    `Project "${projectName}" failed: ${error?.stack || error?.message || String(error)}`,
+                );
+                return { exitCode: 1 };
+            }
+        }),
+    );
+
+    // Suite paths are already rewritten to source paths by each project's rewriter
+    const results = makeEmptyAggregatedTestResult();
+    results.startTime = actualStartTime;
+    const coverageMap = libCoverage.createCoverageMap({});
+    let failed = false;
+    for (const run of runs) {
+        failed ||= run.exitCode !== 0;
+        if (!run.results) continue;
+
+        for (const testResult of run.results.testResults ?? []) {
+            addResult(results, testResult);
+        }
+        results.numTotalTestSuites += run.results.numTotalTestSuites ?? 0;
+        results.wasInterrupted ||= Boolean(run.results.wasInterrupted);
+        const snapshot = run.results.snapshot ?? {};
+        results.snapshot.filesRemoved += snapshot.filesRemoved ?? 0;
+        results.snapshot.filesRemovedList.push(
+            ...(snapshot.filesRemovedList ?? []),
+        );
+        results.snapshot.didUpdate ||= Boolean(snapshot.didUpdate);
+        results.snapshot.failure ||= Boolean(snapshot.failure);
+        if (run.coverage) {
+            coverageMap.merge(run.coverage);
+        }
+    }
+    results.success =
+        !failed &&
+        results.numFailedTestSuites === 0 &&
+        results.numRuntimeErrorTestSuites === 0;
+    const coverage =
+        coverageMap.files().length > 0 ? coverageMap.toJSON() : undefined;
+
+    await dispatcher.onRunComplete(new Set(), results);
+
+    if (coverage) {
+        await generateCoverageReports(coverage, sharedOptions);
+    }
+
+    if (sharedOptions.json) {
+        // json() only reshapes the results, so a rewriter without a project does
+        const rewriter = new ResultRewriter({ rojoProject: {} });
+        outputJsonResults(rewriter.json({ results, coverage }), sharedOptions);
+    }
+
+    return {
+        exitCode: results.success ? 0 : 1,
+        results,
+        coverage,
+        globalConfig,
+    };
+}
+
+/**
+ * Runs the tests of one place and Rojo project. On its own, the run is reported from start to
+ * end; as part of a `projects` config, its suites go to the reporters of the combined run, and
+ * the final report, coverage reports and JSON output are left to that run.
+ * @param {import("./index").JestRobloxOptions} options The options of the project.
+ * @param {{ dispatcher: ReporterDispatcher, liveResults: object, displayName: string }} [shared] The reporters and live results of a combined run, and the name its suites are reported under.
+ * @param {Record<string, import("./config.js").OptionSource>} [sources] Where each option came from, for `--showConfig`.
+ * @returns {Promise<import("./index").JestRobloxRunResult>} The run result.
+ */
+async function runProject(options, shared, sources = {}) {
     // Discover place file if not specified
     if (!options.place) {
         options.place = findPlaceFile();
@@ -38,36 +257,29 @@ export default async function runJestRoblox(options) {
         console.error(
             "--place option is required to run tests. No .rbxl or .rbxlx file found in current directory or nearby.",
         );
-        return 1;
+        return { exitCode: 1 };
     }
     if (!fs.existsSync(options.place)) {
         console.error("Invalid --place file specified: " + options.place);
-        return 1;
+        return { exitCode: 1 };
     }
 
-    // Load config file if specified
-    let configFileOptions = {};
-    if (options.config) {
-        const configPath = path.resolve(options.config);
-        if (!fs.existsSync(configPath)) {
-            console.error(`Config file not found: ${configPath}`);
-            return 1;
-        }
+    let shard;
+    if (options.shard) {
         try {
-            const configUrl = pathToFileURL(configPath).href;
-            const configModule = await import(configUrl);
-            configFileOptions = configModule.default || configModule;
-            for (const key of Object.keys(configFileOptions)) {
-                options[key] = configFileOptions[key];
-            }
+            shard = parseShard(options.shard);
         } catch (error) {
-            console.error(`Failed to load config file: ${error.message}`);
-            return 1;
+            console.error(error.message);
+            return { exitCode: 1 };
         }
     }
 
-    if (process.env.JEST_TEST_NAME_PATTERN) {
-        options.testNamePattern = process.env.JEST_TEST_NAME_PATTERN;
+    let backend;
+    try {
+        backend = await resolveBackend(options.backend, options);
+    } catch (error) {
+        console.error(`Failed to load backend: ${error.message}`);
+        return { exitCode: 1 };
     }
 
     const rojoProject = discoverRojoProject(
@@ -79,6 +291,123 @@ export default async function runJestRoblox(options) {
         rojoProject,
         testLocationInResults: options.testLocationInResults,
     });
+    // Failures, timings and history are kept apart for projects that share a directory
+    const projectKey = getProjectKey(rojoProject);
+
+    // Narrow the run down to what failed last time
+    if (options.onlyFailures) {
+        let failedSuites = Object.entries(loadFailures(projectKey));
+        if (options.testPathPattern) {
+            const pattern = new RegExp(options.testPathPattern, "i");
+            failedSuites = failedSuites.filter(
+                ([suite]) =>
+                    pattern.test(suite) ||
+                    pattern.test(
+                        path.resolve(rewriter.datamodelPathToSourcePath(suite)),
+                    ),
+            );
+        }
+        if (failedSuites.length === 0) {
+            console.log("No failed tests found in the last run.");
+            return { exitCode: 0 };
+        }
+
+        options.testPathPattern = suitesToPathPattern(
+            failedSuites.map(([suite]) => suite),
+        );
+        // A suite that failed to run has no test names to select
+        if (
+            !options.testNamePattern &&
+            failedSuites.every(([, failures]) => !failures.execError)
+        ) {
+            options.testNamePattern = testNamesToPattern(
+                failedSuites.flatMap(([, failures]) => failures.tests),
+            );
+        }
+        if (options.verbose) {
+            console.log(
+                `Running ${failedSuites.length} test suite(s) that failed in the last run`,
+            );
+        }
+    }
+
+    // The suites related to files are found through the sourcemap's require graph
+    if (
+        (options.findRelatedTests ||
+            options.onlyChanged ||
+            options.changedSince) &&
+        !rojoProject.sourcemap
+    ) {
+        console.error(
+            "--findRelatedTests, --onlyChanged and --changedSince require a Rojo project to build the require graph from.",
+        );
+        return { exitCode: 1 };
+    }
+
+    // Narrow the run down to the suites that depend on the given files
+    if (options.findRelatedTests) {
+        const files = Array.isArray(options.findRelatedTests)
+            ? options.findRelatedTests
+            : [];
+        if (files.length === 0) {
+            console.error(
+                "The --findRelatedTests option requires file paths to be specified.",
+            );
+            return { exitCode: 1 };
+        }
+
+        const relatedSuites = selectRelatedSuites(
+            rewriter.modulePathMap,
+            files.map((file) => path.resolve(String(file))),
+            options,
+        );
+        if (relatedSuites.length === 0) {
+            console.log(`No tests found related to ${files.join(", ")}.`);
+            return { exitCode: options.passWithNoTests ? 0 : 1 };
+        }
+
+        options.testPathPattern = suitesToPathPattern(relatedSuites);
+        if (options.verbose) {
+            console.log(
+                `Running ${relatedSuites.length} test suite(s) related to ${files.length} file(s)`,
+            );
+        }
+    }
+
+    // Narrow the run down to the suites that depend on changed files
+    if (options.onlyChanged || options.changedSince) {
+        let changedFiles;
+        try {
+            changedFiles = getChangedFiles(
+                rojoProject.root,
+                options.changedSince,
+            );
+        } catch (error) {
+            console.error(error.message);
+            return { exitCode: 1 };
+        }
+
+        const changedSuites = selectRelatedSuites(
+            rewriter.modulePathMap,
+            changedFiles,
+            options,
+        );
+        if (changedSuites.length === 0) {
+            console.log(
+                options.changedSince
+                    ? `No tests found related to files changed since "${options.changedSince}".`
+                    : "No tests found related to files changed since last commit.",
+            );
+            return { exitCode: 0 };
+        }
+
+        options.testPathPattern = suitesToPathPattern(changedSuites);
+        if (options.verbose) {
+            console.log(
+                `Running ${changedSuites.length} test suite(s) related to ${changedFiles.size} changed file(s)`,
+            );
+        }
+    }
 
     // Convert coveragePathIgnorePatterns from source paths to datamodel paths
     let coverageIgnoreDatamodelPatterns = [];
@@ -104,31 +433,50 @@ export default async function runJestRoblox(options) {
         }
     }
 
+    // Shards are keyed by source path so every machine computes the same split
+    const shardKey = (sourcePath) =>
+        path
+            .relative(process.cwd(), path.resolve(sourcePath))
+            .replace(/\\/g, "/");
+
+    // With --debug, every project and worker keeps its own output log instead of overwriting another's
+    const debugLogName = (...parts) =>
+        ["debug", shared?.displayName, ...parts]
+            .filter((part) => part !== undefined)
+            .map((part) => String(part).replace(/[^\w-]+/g, "-"))
+            .join("_");
+
     const actualStartTime = Date.now();
     let parsedResults;
 
     if (options.showConfig) {
-        console.log(
-            (
-                await executeLuauTest({
-                    ...options,
-                    coverageIgnoreDatamodelPatterns,
-                })
-            ).config,
+        const { config } = await executeLuauTest(
+            {
+                ...options,
+                coverageIgnoreDatamodelPatterns,
+            },
+            { backend, logName: debugLogName() },
         );
-        return 0;
+        console.log(formatShowConfig(options, sources, config));
+        return { exitCode: 0, config };
     }
 
     if (options.listTests) {
         const result = JSON.parse(
-            await executeLuauTest({
-                ...options,
-                coverageIgnoreDatamodelPatterns,
-            }),
+            await executeLuauTest(
+                {
+                    ...options,
+                    coverageIgnoreDatamodelPatterns,
+                },
+                { backend, logName: debugLogName() },
+            ),
         );
-        const reconstructed = [];
+        let reconstructed = [];
         for (const testPath of result)
             reconstructed.push(rewriter.datamodelPathToSourcePath(testPath));
+        if (shard) {
+            reconstructed = selectShard(reconstructed, shard, shardKey);
+        }
 
         if (options.json) {
             const out = JSON.stringify(reconstructed);
@@ -142,37 +490,215 @@ export default async function runJestRoblox(options) {
                 console.log(testPath);
             }
         }
-        return 0;
+        return { exitCode: 0, testPaths: reconstructed };
+    }
+
+    // Snapshot files are read from and written next to the test sources, found through the sourcemap
+    const snapshots = rojoProject.sourcemap
+        ? readLocalSnapshots(rewriter.modulePathMap)
+        : {};
+
+    // Reporters are set up before the run so suites can be reported as they finish
+    const globalConfig = {
+        ...options,
+        rootDir: process.cwd(),
+        testPathPatterns: new TestPathPatterns(
+            options.testPathPattern ? [options.testPathPattern] : [],
+        ),
+        ...(shared && {
+            displayName: { name: shared.displayName, color: "white" },
+        }),
+    };
+    let dispatcher;
+    let liveResults;
+    if (shared) {
+        ({ dispatcher, liveResults } = shared);
+    } else {
+        dispatcher = new ReporterDispatcher(
+            await loadReporters(options, globalConfig),
+        );
+        liveResults = makeEmptyAggregatedTestResult();
+        liveResults.startTime = actualStartTime;
+        await dispatcher.onRunStart(liveResults, {
+            estimatedTime: 0,
+            showStatus: true,
+        });
     }
 
     // Check if we should use parallel execution
     const maxWorkers = options.maxWorkers || 1;
     const useParallel = maxWorkers > 1;
-    const executeSingleWorker = async () => {
-        return (
-            (await executeLuauTest({
-                ...options,
-                coverageIgnoreDatamodelPatterns,
-            })) ?? { exit: 1 }
-        );
+
+    // Each worker's runtime only bails on its own failures, so parallel runs
+    // count failed suites across workers and cancel the rest once --bail is reached
+    const bailThreshold = options.bail === true ? 1 : Number(options.bail) || 0;
+    const bailController =
+        useParallel && bailThreshold > 0 ? new AbortController() : null;
+
+    // Raw results of suites that were already reported while streaming, keyed by raw testFilePath
+    const streamedSuites = new Map();
+    // With --retryFailed, failing suites are only reported once their retries are done,
+    // so reporters see each suite once, with its final result
+    const retryFailed = Number(options.retryFailed) || 0;
+    const heldBackSuites = new Set();
+    const toTest = (testPath) => ({
+        context: { config: globalConfig },
+        path: path.resolve(rewriter.datamodelPathToSourcePath(testPath)),
+    });
+    // The last heartbeat of every suite that started but did not finish, keyed by raw testFilePath
+    const lastHeartbeats = new Map();
+    const reportEvent = async (event) => {
+        // A retried worker runs suites again that were already reported,
+        // and suites that finish after a bail do not count
+        if (streamedSuites.has(event.path) || bailController?.signal.aborted) {
+            return;
+        }
+
+        if (event.type === "heartbeat") {
+            lastHeartbeats.set(event.path, event);
+        } else if (event.type === "suiteStart") {
+            await dispatcher.onTestFileStart(toTest(event.path));
+        } else if (event.type === "testCaseResult") {
+            const testCaseResult = { ...event.result };
+            testCaseResult.failureMessages = rewriter.rewriteFailureMessages(
+                testCaseResult.failureMessages,
+            );
+            await dispatcher.onTestCaseResult(
+                toTest(event.path),
+                testCaseResult,
+            );
+        } else if (event.type === "suiteResult") {
+            // The final payload holds the same suite, so rewrite a copy
+            const testResult = structuredClone(event.result);
+            streamedSuites.set(testResult.testFilePath, event.result);
+            lastHeartbeats.delete(event.path);
+            rewriter.rewriteSuiteResult(testResult);
+            addResult(liveResults, testResult);
+            if (
+                bailController &&
+                liveResults.numFailedTestSuites >= bailThreshold
+            ) {
+                bailController.abort();
+            }
+            if (
+                retryFailed > 0 &&
+                (testResult.testExecError || testResult.numFailingTests > 0)
+            ) {
+                heldBackSuites.add(event.path);
+                return;
+            }
+            await dispatcher.onTestFileResult(
+                toTest(event.path),
+                testResult,
+                liveResults,
+            );
+        }
+    };
+    let streamQueue = Promise.resolve();
+    const onEvent = (event) => {
+        streamQueue = streamQueue
+            .then(() => reportEvent(event))
+            .catch((error) => {
+                console.warn(
+                    `Failed to report streamed event: ${error.message}`,
+                );
+            });
     };
 
-    if (useParallel && !options.testPathPattern) {
-        // Discover test files from filesystem
-        const testSuites = discoverTestFilesFromFilesystem(
-            compilerOptions,
-            options,
+    // Names the tests that were running when the run stalled, from the last heartbeat of each
+    // suite that never finished
+    const reportStalledTests = () => {
+        for (const heartbeat of lastHeartbeats.values()) {
+            const sourcePath = rewriter.datamodelPathToSourcePath(
+                heartbeat.path,
+            );
+            const location = rewriter.findTestHeaderLocation(
+                heartbeat.title,
+                sourcePath,
+            );
+            const where = `${rewriter.formatPath(path.resolve(sourcePath))}${location ? `:${location.line}:${location.column + 1}` : ""}`;
+            const elapsed = `${Math.round(heartbeat.elapsed ?? 0)}s`;
+            console.warn(
+                heartbeat.test
+                    ? `Last running test: ${heartbeat.test} (${where}), running for at least ${elapsed}`
+                    : `Last running suite: ${where}, outside of any test for at least ${elapsed}`,
+            );
+        }
+        lastHeartbeats.clear();
+    };
+
+    const executeSingleWorker = async (testPathPattern) => {
+        try {
+            return (
+                (await executeLuauTest(
+                    {
+                        ...options,
+                        coverageIgnoreDatamodelPatterns,
+                        ...(testPathPattern && { testPathPattern }),
+                    },
+                    { backend, onEvent, snapshots, logName: debugLogName() },
+                )) ?? { exit: 1 }
+            );
+        } catch (error) {
+            await streamQueue;
+            reportStalledTests();
+            throw error;
+        }
+    };
+
+    // Discover test files from the sourcemap, which gives the paths the runtime uses,
+    // or from the compiled files without one. The user's pattern is applied here
+    // so that only matching suites are split across workers and shards
+    const discoverSuites = () => {
+        const discoveryOptions = { ...options, testPathPattern: undefined };
+        const suites = rojoProject.sourcemap
+            ? discoverTestFilesFromSourcemap(
+                  rewriter.modulePathMap,
+                  discoveryOptions,
+              )
+            : discoverTestFilesFromFilesystem(
+                  compilerOptions,
+                  discoveryOptions,
+              );
+        if (!options.testPathPattern) return suites;
+
+        // Like Jest, match against the source path as well as the compiled one
+        const pattern = new RegExp(options.testPathPattern, "i");
+        return suites.filter(
+            (suite) =>
+                pattern.test(suite) ||
+                pattern.test(
+                    path.resolve(rewriter.datamodelPathToSourcePath(suite)),
+                ),
         );
+    };
+
+    // The suites the run was expected to cover, to count the ones a timeout kept from running
+    let expectedSuites;
+    if (shard || useParallel) {
+        let testSuites = discoverSuites();
+
+        if (shard) {
+            testSuites = selectShard(testSuites, shard, (suite) =>
+                shardKey(rewriter.datamodelPathToSourcePath(suite)),
+            );
+            if (options.verbose) {
+                console.log(
+                    `Running shard ${shard.shardIndex}/${shard.shardCount}`,
+                );
+            }
+        }
 
         if (options.verbose) {
             console.log(`Found ${testSuites.length} test suite(s)`);
         }
+        expectedSuites = testSuites;
 
         if (testSuites.length === 0) {
             console.warn("No test suites found");
             parsedResults = {
                 globalConfig: {
-                    rootDir: cwd,
+                    rootDir: process.cwd(),
                 },
                 results: {
                     numPassedTests: 0,
@@ -182,35 +708,30 @@ export default async function runJestRoblox(options) {
                     success: true,
                 },
             };
-        } else if (testSuites.length <= 1) {
-            // Only one test suite, run single worker
-            parsedResults = await executeSingleWorker();
+        } else if (!useParallel || testSuites.length <= 1) {
+            // Only one worker is needed; a shard still limits it to its own suites
+            parsedResults = await executeSingleWorker(
+                shard ? suitesToPathPattern(testSuites) : undefined,
+            );
         } else {
-            // Split test suites across workers
-            const workers = [];
-            const suitesPerWorker = Math.ceil(testSuites.length / maxWorkers);
-
-            for (let i = 0; i < maxWorkers; i++) {
-                const start = i * suitesPerWorker;
-                const end = Math.min(
-                    start + suitesPerWorker,
-                    testSuites.length,
-                );
-                const workerSuites = testSuites.slice(start, end);
-
-                if (workerSuites.length === 0) break;
-
-                workers.push({
-                    id: i,
-                    suites: workerSuites,
-                });
-            }
+            // Balance workers by the durations recorded in previous runs
+            const timings = loadTimings(projectKey);
+            const workers = partitionByDuration(
+                testSuites,
+                maxWorkers,
+                (suite) =>
+                    timings[
+                        path.resolve(rewriter.datamodelPathToSourcePath(suite))
+                    ],
+            ).map((suites, id) => ({ id, suites }));
 
             if (options.verbose) {
                 console.log(`Running tests with ${workers.length} worker(s)`);
             }
 
-            // Execute workers in parallel
+            // Execute workers in parallel. A failing worker is retried, and does not
+            // take the results of the other workers down with it
+            const workerRetries = options.workerRetries ?? 1;
             const workerResults = await Promise.all(
                 workers.map(async (worker) => {
                     const workerOptions = {
@@ -218,17 +739,49 @@ export default async function runJestRoblox(options) {
                         coverageIgnoreDatamodelPatterns,
                     };
 
-                    // Create a testPathPattern regex that matches this worker's suites
-                    // Each suite is a datamodel path like "ReplicatedStorage.src.__tests__.add.spec"
-                    // We escape special regex chars and join with | for OR matching
-                    const escapedPaths = worker.suites.map((s) =>
-                        s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+                    workerOptions.testPathPattern = suitesToPathPattern(
+                        worker.suites,
                     );
-                    workerOptions.testPathPattern = `(${escapedPaths.join(
-                        "|",
-                    )})$`;
 
-                    return await executeLuauTest(workerOptions);
+                    const signal = bailController?.signal;
+                    let lastError;
+                    for (let attempt = 0; attempt <= workerRetries; attempt++) {
+                        if (signal?.aborted) break;
+                        if (attempt > 0) {
+                            console.warn(
+                                `Worker ${worker.id + 1} failed (${lastError.message.split("\n")[0]}), retrying (${attempt}/${workerRetries})...`,
+                            );
+                        }
+                        try {
+                            const result = await executeLuauTest(
+                                workerOptions,
+                                {
+                                    backend,
+                                    onEvent,
+                                    signal,
+                                    snapshots,
+                                    logName: debugLogName(
+                                        `worker${worker.id + 1}`,
+                                    ),
+                                },
+                            );
+                            if (!signal?.aborted) return result;
+                        } catch (error) {
+                            lastError = error;
+                        }
+                    }
+
+                    // Let the events of the last attempt arrive before checking what completed
+                    await streamQueue;
+                    return buildWorkerResultFromStream(
+                        worker.suites,
+                        signal?.aborted ? undefined : lastError,
+                        streamedSuites,
+                        (suite) =>
+                            path.resolve(
+                                rewriter.datamodelPathToSourcePath(suite),
+                            ),
+                    );
                 }),
             );
 
@@ -245,7 +798,12 @@ export default async function runJestRoblox(options) {
             let numRuntimeErrorTestSuites = 0;
             let numTotalTestSuites = 0;
             let allSuccess = true;
+            let wasInterrupted = false;
             let globalConfig = null;
+            // Every worker instruments the same modules, so hit counts are summed per file
+            const combinedCoverage = libCoverage.createCoverageMap({});
+            let hasCoverage = false;
+            const snapshotFiles = [];
             const combinedSnapshot = {
                 added: 0,
                 fileDeleted: false,
@@ -283,6 +841,9 @@ export default async function runJestRoblox(options) {
                     numTotalTestSuites +=
                         result.results.numTotalTestSuites || 0;
                     allSuccess = allSuccess && result.results.success;
+                    wasInterrupted =
+                        wasInterrupted ||
+                        Boolean(result.results.wasInterrupted);
                     combinedTestResults.push(
                         ...(result.results.testResults || []),
                     );
@@ -324,14 +885,31 @@ export default async function runJestRoblox(options) {
                         }
                     }
                 }
+                if (result.coverage) {
+                    combinedCoverage.merge(result.coverage);
+                    hasCoverage = true;
+                }
+                if (result.snapshotFiles) {
+                    snapshotFiles.push(...result.snapshotFiles);
+                }
                 // Use globalConfig from first worker
                 if (!globalConfig && result.globalConfig) {
                     globalConfig = result.globalConfig;
                 }
             }
 
+            let coverage;
+            if (hasCoverage) {
+                coverage = {};
+                for (const file of combinedCoverage.files()) {
+                    coverage[file] = combinedCoverage
+                        .fileCoverageFor(file)
+                        .toJSON();
+                }
+            }
+
             parsedResults = {
-                globalConfig: globalConfig || { rootDir: cwd },
+                globalConfig: globalConfig || { rootDir: process.cwd() },
                 results: {
                     numPassedTests,
                     numFailedTests,
@@ -347,18 +925,141 @@ export default async function runJestRoblox(options) {
                     success: allSuccess,
                     snapshot: combinedSnapshot,
                     startTime: 0,
-                    wasInterrupted: false,
+                    wasInterrupted,
                     openHandles: [],
                 },
+                coverage,
+                snapshotFiles,
             };
         }
     } else {
         parsedResults = await executeSingleWorker();
     }
 
-    if (parsedResults.exit !== undefined) return parsedResults.exit;
+    // Let every streamed event reach the reporters before the final report
+    await streamQueue;
+    if (!bailController?.signal.aborted) {
+        reportStalledTests();
+    }
+
+    if (parsedResults.exit !== undefined) {
+        // Reporters still need to finish, e.g. to stop their status updates
+        if (!shared) {
+            await dispatcher.onRunComplete(new Set(), liveResults);
+        }
+        return { exitCode: parsedResults.exit };
+    }
+
+    if (parsedResults.results.wasInterrupted) {
+        const toSourcePath = (suite) =>
+            path.resolve(rewriter.datamodelPathToSourcePath(suite));
+        const reported = new Set(
+            parsedResults.results.testResults.map((suite) =>
+                toSourcePath(suite.testFilePath),
+            ),
+        );
+        const notRun = (expectedSuites ?? discoverSuites()).filter(
+            (suite) => !reported.has(toSourcePath(suite)),
+        );
+        // Suites that never started are interrupted too, so they are listed rather than only counted
+        const message = `Test suite was not run because the run exceeded the timeout of ${options.timeout ?? "300s"}`;
+        for (const suite of notRun) {
+            const testResult = buildFailureTestResult(suite, {
+                message,
+                stack: message,
+            });
+            testResult.failureMessage = message;
+            addResult(parsedResults.results, testResult);
+        }
+        parsedResults.results.numTotalTestSuites += notRun.length;
+        if (notRun.length > 0) {
+            console.warn(
+                `${notRun.length} test suite(s) were not run before the timeout.`,
+            );
+        }
+    }
+
+    // Failed tests get more attempts; the ones that pass on retry are flaky rather than failed
+    if (
+        retryFailed > 0 &&
+        !parsedResults.results.wasInterrupted &&
+        !bailController?.signal.aborted
+    ) {
+        const flakyTests = [];
+        for (let attempt = 1; attempt <= retryFailed; attempt++) {
+            const failed = selectFailedTests(parsedResults.results.testResults);
+            if (failed.suites.length === 0) break;
 
+            console.log(
+                `Retrying ${failed.testNames ? `${failed.testNames.length} failed test(s) in ` : ""}${failed.suites.length} test suite(s) (attempt ${attempt}/${retryFailed})...`,
+            );
+            let retryResults;
+            try {
+                retryResults = await executeLuauTest(
+                    {
+                        ...options,
+                        coverageIgnoreDatamodelPatterns,
+                        coverage: false,
+                        collectCoverage: false,
+                        testPathPattern: suitesToPathPattern(failed.suites),
+                        testNamePattern: failed.testNames
+                            ? testNamesToPattern(failed.testNames)
+                            : options.testNamePattern,
+                    },
+                    { backend, snapshots, logName: debugLogName("retry") },
+                );
+            } catch (error) {
+                console.warn(
+                    `Retry attempt ${attempt} failed: ${error.message.split("\n")[0]}`,
+                );
+                continue;
+            }
+            if (!retryResults?.results) continue;
+
+            const merged = mergeRetriedSuites(
+                parsedResults.results,
+                retryResults.results.testResults,
+            );
+            flakyTests.push(...merged.flaky);
+        }
+
+        if (flakyTests.length > 0) {
+            console.log(`${flakyTests.length} flaky test(s) passed on retry:`);
+            for (const test of flakyTests) {
+                const sourcePath = path.resolve(
+                    rewriter.datamodelPathToSourcePath(test.testFilePath),
+                );
+                console.log(
+                    `  ${test.fullName} (${rewriter.formatPath(sourcePath)}), passed after ${test.invocations} attempts`,
+                );
+            }
+        }
+    }
+
+    // Suites held back for retries are reported now, with their retry attempts
+    const unreportedSuites = (parsedResults.results.testResults || []).filter(
+        (suite) =>
+            !streamedSuites.has(suite.testFilePath) ||
+            heldBackSuites.has(suite.testFilePath),
+    );
+
+    if (rojoProject.sourcemap) {
+        syncSnapshotFiles(parsedResults, rewriter.modulePathMap, options);
+    } else if (parsedResults.snapshotFiles?.length > 0) {
+        console.warn(
+            "Snapshots were written during the run, but they can only be saved to disk with a Rojo project to map the tests to their sources.",
+        );
+    }
+
+    // Failures are keyed by the runtime's test paths, which is what the next testPathPattern matches
+    recordFailures(projectKey, parsedResults.results.testResults || []);
     rewriter.rewriteParsedResults(parsedResults.results);
+    recordTimings(projectKey, parsedResults.results.testResults || []);
+    recordHistory(
+        projectKey,
+        rewriter.projectRoot,
+        parsedResults.results.testResults || [],
+    );
 
     // Rewrite coverage paths if coverage data is available
     if (parsedResults.coverage) {
@@ -372,131 +1073,70 @@ export default async function runJestRoblox(options) {
     }
 
     // Fix globalConfig - set rootDir to current working directory if null
-    const globalConfig = {
+    Object.assign(globalConfig, {
         ...(parsedResults.globalConfig || {}),
         ...options,
         rootDir:
             (parsedResults.globalConfig &&
                 parsedResults.globalConfig.rootDir) ||
             process.cwd(),
-        testPathPatterns: new TestPathPatterns(
-            options.testPathPattern ? [options.testPathPattern] : [],
-        ),
+        testPathPatterns: globalConfig.testPathPatterns,
+    });
+
+    // Create aggregated results in the format Jest expects
+    const aggregatedResults = {
+        ...parsedResults.results,
+        numPassedTests: parsedResults.results.numPassedTests || 0,
+        numFailedTests: parsedResults.results.numFailedTests || 0,
+        numTotalTests: parsedResults.results.numTotalTests || 0,
+        testResults: parsedResults.results.testResults || [],
+        startTime: actualStartTime,
+        snapshot: parsedResults.results.snapshot || {
+            added: 0,
+            fileDeleted: false,
+            matched: 0,
+            unchecked: 0,
+            uncheckedKeys: [],
+            unmatched: 0,
+            updated: 0,
+        },
+        wasInterrupted: Boolean(parsedResults.results.wasInterrupted),
     };
 
-    const reporterConfigs = [];
-
-    if (options.reporters && options.reporters.length > 0) {
-        // Custom reporters specified
-        for (const reporterEntry of options.reporters) {
-            // Reporter can be a string or [string, options]
-            const reporterName = Array.isArray(reporterEntry)
-                ? reporterEntry[0]
-                : reporterEntry;
-            const reporterOptions = Array.isArray(reporterEntry)
-                ? reporterEntry[1]
-                : undefined;
-
-            if (reporterName === "default") {
-                reporterConfigs.push({
-                    Reporter: DefaultReporter,
-                    options: reporterOptions,
-                });
-            } else if (reporterName === "summary") {
-                reporterConfigs.push({
-                    Reporter: SummaryReporter,
-                    options: reporterOptions,
-                });
-            } else {
-                try {
-                    // Convert absolute paths to file URLs for ESM loader compatibility
-                    let moduleToImport = reporterName;
-                    if (path.isAbsolute(reporterName)) {
-                        moduleToImport = pathToFileURL(reporterName).href;
-                    }
-                    const ReporterModule = await import(moduleToImport);
-                    if (ReporterModule) {
-                        reporterConfigs.push({
-                            Reporter: ReporterModule.default ?? ReporterModule,
-                            options: reporterOptions,
-                        });
-                    } else {
-                        console.warn(
-                            `Reporter module "${reporterName}" does not have a default export.`,
-                        );
-                    }
-                } catch (error) {
-                    console.warn(
-                        `Failed to load reporter module "${reporterName}": ${error.message}`,
-                    );
-                }
-            }
-        }
-    } else {
-        // Default reporters
-        reporterConfigs.push({
-            Reporter: options.verbose ? VerboseReporter : DefaultReporter,
-            options: undefined,
-        });
-        reporterConfigs.push({ Reporter: SummaryReporter, options: undefined });
+    // Report suites that were not streamed, e.g. when the runtime emitted no events
+    for (const testResult of unreportedSuites) {
+        await dispatcher.onTestFileResult(
+            {
+                context: { config: globalConfig },
+                path: testResult.testFilePath,
+            },
+            testResult,
+            aggregatedResults,
+        );
     }
 
-    for (const { Reporter, options: reporterOptions } of reporterConfigs) {
-        const reporter = new Reporter(globalConfig, reporterOptions);
-
-        // Create aggregated results in the format Jest expects
-        const aggregatedResults = {
-            ...parsedResults.results,
-            numPassedTests: parsedResults.results.numPassedTests || 0,
-            numFailedTests: parsedResults.results.numFailedTests || 0,
-            numTotalTests: parsedResults.results.numTotalTests || 0,
-            testResults: parsedResults.results.testResults || [],
-            startTime: actualStartTime,
-            snapshot: parsedResults.results.snapshot || {
-                added: 0,
-                fileDeleted: false,
-                matched: 0,
-                unchecked: 0,
-                uncheckedKeys: [],
-                unmatched: 0,
-                updated: 0,
-            },
-            wasInterrupted: false,
+    if (shared) {
+        return {
+            exitCode: parsedResults.results.success ? 0 : 1,
+            results: parsedResults.results,
+            coverage: parsedResults.coverage,
+            globalConfig,
         };
+    }
 
-        // Call reporter lifecycle methods if they exist
-        if (typeof reporter.onRunStart === "function") {
-            await Promise.resolve(
-                reporter.onRunStart(aggregatedResults, {
-                    estimatedTime: 0,
-                    showStatus: true,
-                }),
-            );
-        }
-
-        // Report each test result
-        if (parsedResults.results.testResults) {
-            for (const testResult of parsedResults.results.testResults) {
-                if (typeof reporter.onTestResult === "function") {
-                    await Promise.resolve(
-                        reporter.onTestResult(
-                            { context: { config: globalConfig } },
-                            testResult,
-                            aggregatedResults,
-                        ),
-                    );
-                } else if (typeof reporter.onTestStart === "function") {
-                    await Promise.resolve(reporter.onTestStart(testResult));
-                }
-            }
-        }
+    // Complete the run
+    await dispatcher.onRunComplete(new Set(), aggregatedResults);
 
-        // Complete the run
-        if (typeof reporter.onRunComplete === "function") {
-            await Promise.resolve(
-                reporter.onRunComplete(new Set(), aggregatedResults),
-            );
-        }
+    if (bailController?.signal.aborted) {
+        const suitesRun =
+            (aggregatedResults.numPassedTestSuites || 0) +
+            (aggregatedResults.numFailedTestSuites || 0) +
+            (aggregatedResults.numPendingTestSuites || 0);
+        const suitesNotRun =
+            (aggregatedResults.numTotalTestSuites || 0) - suitesRun;
+        console.log(
+            `Bailed after ${bailThreshold} failed test suite(s); ${suitesNotRun} test suite(s) were not run.`,
+        );
     }
 
     // Generate coverage reports if coverage data is available
@@ -505,32 +1145,207 @@ export default async function runJestRoblox(options) {
     }
 
     if (options.json) {
-        const json = JSON.stringify(rewriter.json(parsedResults));
-        if (options.outputFile) {
-            fs.writeFileSync(options.outputFile, json, "utf-8");
-            console.log(`Test results written to: ${options.outputFile}`);
-        } else {
-            console.log(json);
+        const jsonResults = rewriter.json(parsedResults);
+        if (shard) {
+            jsonResults.shard = shard;
         }
-        // Handle early exit signals (e.g., "No tests found" with passWithNoTests)
-        if (parsedResults.exit !== undefined) {
-            return parsedResults.exit;
+        outputJsonResults(jsonResults, options);
+    }
+
+    return {
+        exitCode: parsedResults.results.success ? 0 : 1,
+        results: parsedResults.results,
+        coverage: parsedResults.coverage,
+        globalConfig,
+    };
+}
+
+/**
+ * Prints the `--json` results, or writes them to `--outputFile`.
+ * @param {object} jsonResults The results in the format of `jest --json`.
+ * @param {{ outputFile?: string }} options The CLI options.
+ */
+function outputJsonResults(jsonResults, options) {
+    const json = JSON.stringify(jsonResults);
+    if (options.outputFile) {
+        fs.writeFileSync(options.outputFile, json, "utf-8");
+        console.log(`Test results written to: ${options.outputFile}`);
+    } else {
+        console.log(json);
+    }
+}
+
+/**
+ * Builds the result of a worker that kept failing or was cancelled by a bail. Suites that
+ * completed and were streamed before that keep their results. With an error, the others are
+ * reported as runtime errors that carry the failure and its captured log; without one they
+ * were not run, and only count towards the total.
+ * @param {string[]} suites The suites assigned to the worker.
+ * @param {Error | undefined} error The error of the last attempt, if the worker failed.
+ * @param {Map<string, object>} streamedSuites Raw results of streamed suites, keyed by raw testFilePath.
+ * @param {(testPath: string) => string} toSourcePath Resolves a suite or raw testFilePath to its source path.
+ * @returns {{ results: object }} The worker's results.
+ */
+function buildWorkerResultFromStream(
+    suites,
+    error,
+    streamedSuites,
+    toSourcePath,
+) {
+    const completed = new Map();
+    for (const [testFilePath, testResult] of streamedSuites) {
+        completed.set(toSourcePath(testFilePath), testResult);
+    }
+
+    const results = makeEmptyAggregatedTestResult();
+    for (const suite of suites) {
+        const streamed = completed.get(toSourcePath(suite));
+        if (streamed) {
+            addResult(results, structuredClone(streamed));
+            continue;
         }
-        return parsedResults.results.success ? 0 : 1;
+        if (!error) continue;
+
+        const message = `Test worker failed: ${error.message}`;
+        const testResult = buildFailureTestResult(suite, {
+            message,
+            stack: error.stack,
+        });
+        testResult.failureMessage = message;
+        addResult(results, testResult);
     }
+    results.numTotalTestSuites = suites.length;
+    results.success = false;
 
-    return parsedResults.results.success ? 0 : 1;
+    return { results };
+}
+
+/**
+ * Creates a testPathPattern regex that matches exactly the given suites.
+ * Each suite is a path like "src/__tests__/add.spec"; special regex characters
+ * are escaped and the suites are joined with | for OR matching.
+ * @param {string[]} suites The suites to match.
+ * @returns {string} The pattern.
+ */
+function suitesToPathPattern(suites) {
+    const escapedPaths = suites.map((s) =>
+        s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+    );
+    return `(${escapedPaths.join("|")})$`;
+}
+
+/**
+ * Selects the test suites that are built from the given files or depend on them.
+ * @param {Map<string, import("./index").ModulePathEntry>} modulePathMap The scripts of the sourcemap.
+ * @param {Iterable<string>} files Absolute paths of source or compiled Luau files.
+ * @param {object} options The options to discover test suites with.
+ * @returns {string[]} The related suites, as paths relative to their project's parent.
+ */
+function selectRelatedSuites(modulePathMap, files, options) {
+    const relatedScripts = [...findRelatedScripts(modulePathMap, files)];
+    // Suites are instance paths without the part above their project
+    return discoverTestFilesFromSourcemap(modulePathMap, options).filter(
+        (suite) =>
+            relatedScripts.some(
+                (instancePath) =>
+                    instancePath === suite ||
+                    instancePath.endsWith(`/${suite}`),
+            ),
+    );
+}
+
+/**
+ * Saves the snapshot files the runtime wrote or removed next to their test sources, and
+ * reports snapshot files whose test no longer exists as obsolete, removing them when
+ * snapshots are updated, like Jest.
+ * @param {object} parsedResults The results of the run, with the runtime's snapshot files.
+ * @param {Map<string, import("./index").ModulePathEntry>} modulePathMap The scripts of the sourcemap.
+ * @param {object} options The options of the run.
+ */
+function syncSnapshotFiles(parsedResults, modulePathMap, options) {
+    const status = writeSnapshotFiles(
+        parsedResults.snapshotFiles,
+        modulePathMap,
+    );
+    if (status.unresolved.length > 0) {
+        console.warn(
+            `Could not save snapshots of tests missing from the sourcemap: ${status.unresolved.join(", ")}`,
+        );
+    }
+    if (options.verbose) {
+        for (const file of [...status.written, ...status.removed]) {
+            console.log(
+                `${status.removed.includes(file) ? "Removed" : "Wrote"} snapshot file ${path.relative(process.cwd(), file)}`,
+            );
+        }
+    }
+
+    const obsoleteFiles = findObsoleteSnapshotFiles(modulePathMap);
+    if (obsoleteFiles.length === 0) return;
+
+    const update =
+        options.updateSnapshot === true || options.updateSnapshot === "all";
+    if (update) {
+        for (const file of obsoleteFiles) {
+            fs.rmSync(file, { force: true });
+        }
+    }
+    const results = parsedResults.results;
+    results.snapshot ??= {};
+    results.snapshot.filesRemoved =
+        (results.snapshot.filesRemoved || 0) + obsoleteFiles.length;
+    results.snapshot.filesRemovedList = [
+        ...(results.snapshot.filesRemovedList || []),
+        ...obsoleteFiles,
+    ];
+    results.snapshot.didUpdate = results.snapshot.didUpdate || update;
+}
+
+/**
+ * Creates a testNamePattern regex that matches exactly the given full test names.
+ * @param {string[]} names The full names of the tests to match.
+ * @returns {string} The pattern.
+ */
+function testNamesToPattern(names) {
+    const escapedNames = [...new Set(names)].map((name) =>
+        name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+    );
+    return `^(${escapedNames.join("|")})$`;
 }
 
+/**
+ * Roblox Jest options that are handled on the JS side instead of being passed to the runtime.
+ */
+const JS_HANDLED_JEST_OPTIONS = new Set([
+    "changedSince",
+    "config",
+    "json",
+    "maxWorkers",
+    "outputFile",
+    "projects",
+]);
+
+/**
+ * Options that are not Roblox Jest options but are read by the Luau script itself.
+ */
+const LUAU_SCRIPT_OPTIONS = new Set([
+    "collectCoverage",
+    "coverageIgnoreDatamodelPatterns",
+]);
+
 /**
  * Executes the Luau script to run Jest tests with the given options.
  * @param {object} options The Jest options to pass to the Luau script.
+ * @param {{ backend: import("./backends.js").LuauBackend, onEvent?: (event: object) => void, signal?: AbortSignal, snapshots?: Record<string, Record<string, string>>, logName?: string }} runtime The backend to run the script with, an optional callback for events streamed while it runs, an optional signal that cancels the run, the local snapshots to inject keyed by test instance path, and the name of the output log kept with `--debug`.
  * @returns {Promise<any>} The parsed results from the Luau script.
  */
-async function executeLuauTest(options) {
+async function executeLuauTest(
+    options,
+    { backend, onEvent, signal, snapshots = {}, logName = "debug" },
+) {
     const cachePath = ensureCache();
     const randomHash = options.debug
-        ? "debug"
+        ? logName
         : Math.random().toString(36).substring(2, 8);
     const luauOutputPath = path.join(
         cachePath,
@@ -538,10 +1353,26 @@ async function executeLuauTest(options) {
     );
 
     const resultSplitMarker = `__JEST_RESULT_START__`;
+    // Payloads over the 4MB return limit are printed in chunks of this many bytes
+    const PAYLOAD_CHUNK_SIZE = 65536;
+    // Seconds between coverage checkpoints, which let a timed out run keep its coverage
+    const COVERAGE_CHECKPOINT_INTERVAL = 10;
+    // Seconds between heartbeats naming the running test
+    const HEARTBEAT_INTERVAL = 5;
+
+    // Only Roblox Jest options and the ones the script reads itself are passed to the runtime
+    const jestOptions = Object.fromEntries(
+        Object.entries(options).filter(
+            ([key]) =>
+                (key in ROBLOX_JEST_OPTION_TYPES &&
+                    !JS_HANDLED_JEST_OPTIONS.has(key)) ||
+                LUAU_SCRIPT_OPTIONS.has(key),
+        ),
+    );
 
     const luauScript = `
 local HttpService = game:GetService("HttpService")
-local jestOptions = HttpService:JSONDecode([===[${JSON.stringify(options)}]===])
+local jestOptions = HttpService:JSONDecode([===[${JSON.stringify(jestOptions)}]===])
 -- These options are handled in JS
 jestOptions.reporters = {}
 jestOptions.json = jestOptions.listTests == true
@@ -549,7 +1380,10 @@ jestOptions.watch = nil
 jestOptions.watchAll = nil
 
 local coverage
+local runningCoverage = false
 local runCLI
+local jestCore
+local jestRuntimes = {}
 local projects = {}
 local testFiles = {}
 for i, v in pairs(game:GetDescendants()) do
@@ -560,12 +1394,15 @@ for i, v in pairs(game:GetDescendants()) do
                 warn("Multiple JestCore CLI modules found;" .. v:GetFullName())
             end
             runCLI = reading.runCLI
+            jestCore = v.Parent
         end
     elseif v.Name == "jest.config" and v:IsA("ModuleScript") then
         local fullName = v:GetFullName()
         if not fullName:find("rbxts_include") and not fullName:find("node_modules") then
             table.insert(projects, v.Parent)
         end
+    elseif v.Name == "JestRuntime" and v:IsA("ModuleScript") then
+        table.insert(jestRuntimes, v)
     elseif v.Name == "coverage" and v:FindFirstChild("src") then
         local coverageCandidate = require(v.src)
         if coverageCandidate and coverageCandidate.instrument then
@@ -587,7 +1424,177 @@ pcall(function()
     settings().Studio.ScriptTimeoutLength = -1 -- Disable script timeout
 end)
 
-local runningCoverage = false
+-- Stream suite progress into the output log so the JS side can report it live
+local function emitEvent(event)
+    print("${EVENT_START_MARKER}" .. HttpService:JSONEncode(event) .. "${EVENT_END_MARKER}")
+end
+
+-- Heartbeats name the suite and test that are running, so the JS side can tell which test
+-- stalled when the run times out or fails
+local runningSuite = nil
+local runningTest = nil
+local function trackRunningTest(_, event)
+    if event.name == "test_start" then
+        -- The full name of the test, without the root describe block
+        local titles = {}
+        local block = event.test
+        while block and block.parent do
+            table.insert(titles, 1, block.name)
+            block = block.parent
+        end
+        runningTest = { fullName = table.concat(titles, " "), title = event.test.name, startedAt = os.clock() }
+    elseif event.name == "test_done" or event.name == "test_skip" or event.name == "test_todo" then
+        runningTest = nil
+    end
+end
+
+local streamReporter = {}
+function streamReporter.onTestFileStart(_, test)
+    runningSuite = { path = test.path, startedAt = os.clock() }
+    runningTest = nil
+    emitEvent({ type = "suiteStart", path = test.path })
+end
+function streamReporter.onTestCaseResult(_, test, testCaseResult)
+    emitEvent({ type = "testCaseResult", path = test.path, result = testCaseResult })
+end
+-- Completed suites double as checkpoints: when the run times out, the JS side reports them.
+-- Coverage is checkpointed too, compressed and at most every few seconds as it is large
+local lastCoverageCheckpoint = os.clock()
+function streamReporter.onTestFileResult(_, test, testResult)
+    -- Coverage and console output are not needed for live reporting
+    local result = table.clone(testResult)
+    result.coverage = nil
+    result.console = nil
+    emitEvent({ type = "suiteResult", path = test.path, result = result })
+    runningSuite = nil
+    runningTest = nil
+
+    if runningCoverage and os.clock() - lastCoverageCheckpoint >= ${COVERAGE_CHECKPOINT_INTERVAL} then
+        lastCoverageCheckpoint = os.clock()
+        local EncodingService = game:GetService("EncodingService")
+        local compressed = EncodingService:CompressBuffer(
+            buffer.fromstring(HttpService:JSONEncode(coverage.istanbul())),
+            Enum.CompressionAlgorithm.Zstd,
+            9
+        )
+        emitEvent({
+            type = "coverageCheckpoint",
+            data = buffer.tostring(EncodingService:Base64Encode(compressed)),
+        })
+    end
+end
+
+local reporterDispatcherModule = jestCore and jestCore:FindFirstChild("ReporterDispatcher")
+if reporterDispatcherModule and not (jestOptions.showConfig or jestOptions.listTests) then
+    -- Custom reporters must be ModuleScripts, so register on every dispatcher JestCore creates instead
+    local ReporterDispatcher = require(reporterDispatcherModule).default
+    local originalNew = ReporterDispatcher.new
+    ReporterDispatcher.new = function(...)
+        local dispatcher = originalNew(...)
+        dispatcher:register(streamReporter)
+        return dispatcher
+    end
+end
+
+-- Snapshot files live next to the sources on disk, not in the place. The local snapshots are
+-- injected as the snapshot modules of their tests, and the snapshots Jest saves or removes are
+-- recorded and returned with the results instead of going through FileSystemService
+local localSnapshots = HttpService:JSONDecode([===[${JSON.stringify(snapshots).replace(/\]===\]/g, "]===\\u005d")}]===])
+local snapshotModules = {}
+local snapshotFiles = {}
+
+local function getInstancePath(instance)
+    local names = {}
+    while instance and instance ~= game do
+        table.insert(names, 1, instance.Name)
+        instance = instance.Parent
+    end
+    return table.concat(names, "/")
+end
+
+for instancePath, snapshots in pairs(localSnapshots) do
+    local testModule = game
+    for _, name in ipairs(string.split(instancePath, "/")) do
+        testModule = testModule and testModule:FindFirstChild(name)
+    end
+    if testModule and testModule.Parent then
+        local folder = testModule.Parent:FindFirstChild("__snapshots__")
+        if not folder then
+            folder = Instance.new("Folder")
+            folder.Name = "__snapshots__"
+            folder.Parent = testModule.Parent
+        end
+        local snapshotModule = folder:FindFirstChild(testModule.Name .. ".snap")
+        if not snapshotModule then
+            snapshotModule = Instance.new("ModuleScript")
+            snapshotModule.Name = testModule.Name .. ".snap"
+            snapshotModule.Parent = folder
+        end
+        snapshotModules[snapshotModule] = snapshots
+    end
+end
+
+local patchedExports = setmetatable({}, { __mode = "k" })
+local function patchRuntimeExports(exports)
+    if type(exports) ~= "table" or patchedExports[exports] then
+        return
+    end
+    if exports.saveSnapshotFile and exports.removeSnapshotFile and exports.getSnapshotData then
+        -- JestSnapshot's utils; the snapshot path is the instance path of the test
+        patchedExports[exports] = true
+        exports.saveSnapshotFile = function(snapshotData, snapshotPath)
+            snapshotFiles[snapshotPath] = { testPath = snapshotPath, snapshots = table.clone(snapshotData) }
+        end
+        exports.removeSnapshotFile = function(snapshotPath)
+            snapshotFiles[snapshotPath] = { testPath = snapshotPath, removed = true }
+        end
+    elseif exports.buildSnapshotResolver and exports.isSnapshotPath then
+        -- JestSnapshot's SnapshotResolver, which needs CoreScriptSyncService for file paths
+        patchedExports[exports] = true
+        local buildSnapshotResolver = exports.buildSnapshotResolver
+        exports.buildSnapshotResolver = function(...)
+            return buildSnapshotResolver(...):andThen(function(resolver)
+                return setmetatable({
+                    resolveSnapshotPath = function(_, testPath)
+                        local snapshotPath = resolver:resolveSnapshotPath(testPath)
+                        return {
+                            getInstance = snapshotPath.getInstance,
+                            getPath = function()
+                                return getInstancePath(testPath)
+                            end,
+                        }
+                    end,
+                }, { __index = resolver })
+            end)
+        end
+    elseif exports.addEventHandler and exports.getState and exports.ROOT_DESCRIBE_BLOCK_NAME then
+        -- JestCircus's state, which is exported by more than one module
+        patchedExports[exports] = true
+        if not patchedExports[exports.addEventHandler] then
+            patchedExports[exports.addEventHandler] = true
+            exports.addEventHandler(trackRunningTest)
+        end
+    end
+end
+
+-- Every test file gets its own runtime that loads JestSnapshot and JestCircus again, so hook module loading
+for _, runtimeModule in ipairs(jestRuntimes) do
+    local Runtime = require(runtimeModule)
+    if type(Runtime) == "table" and Runtime.requireModule and not patchedExports[Runtime] then
+        patchedExports[Runtime] = true
+        local requireModule = Runtime.requireModule
+        Runtime.requireModule = function(self, from, moduleName, ...)
+            local snapshots = snapshotModules[moduleName or from]
+            if snapshots then
+                return table.clone(snapshots)
+            end
+            local exports = requireModule(self, from, moduleName, ...)
+            patchRuntimeExports(exports)
+            return exports
+        end
+    end
+end
+
 if jestOptions.coverage or jestOptions.collectCoverage then
     if coverage then
         local instrumentStartTime = os.clock()
@@ -645,8 +1652,30 @@ if jestOptions.coverage or jestOptions.collectCoverage then
     end
 end
 
+local heartbeating = not (jestOptions.showConfig or jestOptions.listTests)
+if heartbeating then
+    task.spawn(function()
+        while true do
+            task.wait(${HEARTBEAT_INTERVAL})
+            if not heartbeating then
+                break
+            end
+            if runningSuite then
+                emitEvent({
+                    type = "heartbeat",
+                    path = runningSuite.path,
+                    test = runningTest and runningTest.fullName,
+                    title = runningTest and runningTest.title,
+                    elapsed = os.clock() - (if runningTest then runningTest.startedAt else runningSuite.startedAt),
+                })
+            end
+        end
+    end)
+end
+
 local runCLIStartTime = os.clock()
 local success, resolved = runCLI(game, jestOptions, projects):await()
+heartbeating = false
 if jestOptions.debug then
     print("runCLI took " .. ((os.clock() - runCLIStartTime) * 1000) .. "ms")
 end
@@ -660,6 +1689,10 @@ if resolved and type(resolved) == "table" then
     if runningCoverage then
         resolved.coverage = coverage.istanbul()
     end
+    resolved.snapshotFiles = {}
+    for _, file in pairs(snapshotFiles) do
+        table.insert(resolved.snapshotFiles, file)
+    end
 end
 
 local payload = HttpService:JSONEncode(resolved)
@@ -674,76 +1707,75 @@ if jestOptions.debug then
     print("Compression took " .. ((os.clock() - compressionStartTime) * 1000) .. "ms")
 end
 
-print("${resultSplitMarker}")
-if buffer.len(compressed) <= 4194304 then
+local compressedSize = buffer.len(compressed)
+if compressedSize <= 4194304 then
+    print("${resultSplitMarker}")
     return compressed
 end
 
-if jestOptions.debug then
-    print("Payload size " .. payloadSize .. " bytes exceeds 4MB, uploading to GitHub")
+-- Too large to return directly; print the payload in sequenced, checksummed chunks
+-- and return a manifest that the JS side uses to reassemble and verify them
+local function adler32(buf, offset, length)
+    local a, b = 1, 0
+    for i = offset, offset + length - 1 do
+        a = (a + buffer.readu8(buf, i)) % 65521
+        b = (b + a) % 65521
+    end
+    return b * 65536 + a
 end
 
--- Direct return is not possible; send to user-specified github repo
-local repo = "${process.env.JEST_ASSASSIN_PAYLOAD_REPO ?? ""}"
-if not repo or repo == "" then
-    error("Payload too large (" .. payloadSize .. " bytes) and no JEST_ASSASSIN_PAYLOAD_REPO specified")
-end
-local gh_token = "${process.env.JEST_ASSASSIN_GITHUB_TOKEN ?? ""}"
-if not gh_token or gh_token == "" then
-    error("Payload too large (" .. payloadSize .. " bytes) and no JEST_ASSASSIN_GITHUB_TOKEN specified")
+local chunkSize = ${PAYLOAD_CHUNK_SIZE}
+local chunkCount = math.ceil(compressedSize / chunkSize)
+if jestOptions.debug then
+    print("Payload size " .. compressedSize .. " bytes exceeds 4MB, sending " .. chunkCount .. " chunks")
 end
-local fileName = "${
-        process.env.JEST_ASSASSIN_PAYLOAD_FILENAME ?? "jest_payload"
-    }"
-local url = "https://api.github.com/repos/" .. repo .. "/contents/" .. fileName
-
--- Obtain SHA of existing file if it exists
-local existingSha
-local getSuccess, getResponse = pcall(function()
-    return HttpService:GetAsync(url, false, {
-        ["Authorization"] = "token " .. gh_token
+
+for index = 1, chunkCount do
+    local offset = (index - 1) * chunkSize
+    local length = math.min(chunkSize, compressedSize - offset)
+    local chunk = buffer.create(length)
+    buffer.copy(chunk, 0, compressed, offset, length)
+    emitEvent({
+        type = "payloadChunk",
+        index = index,
+        count = chunkCount,
+        checksum = adler32(chunk, 0, length),
+        data = buffer.tostring(EncodingService:Base64Encode(chunk)),
     })
-end)
-if getSuccess then
-    existingSha = HttpService:JSONDecode(getResponse).sha
 end
 
-local putPayload = {
-    message = "JestRoblox large payload upload",
-    content = bufferPayload,
-    branch = "main",
+print("${resultSplitMarker}")
+return {
+    chunked = true,
+    count = chunkCount,
+    size = compressedSize,
+    checksum = adler32(compressed, 0, compressedSize),
 }
-if existingSha then
-    putPayload.sha = existingSha
-end
-
-local putSuccess, putResponse = pcall(function()
-    return game:GetService("HttpService"):RequestAsync({
-        Url = url,
-        Method = "PUT",
-        Headers = {
-            ["Authorization"] = "token " .. gh_token,
-            ["Content-Type"] = "application/json"
-        },
-        Body = HttpService:JSONEncode(putPayload)
-    })
-end)
-if not putSuccess then
-    error("Failed to upload large payload to GitHub: " .. putResponse)
-end
-if putResponse.Success ~= true then
-    error("GitHub API returned error: " .. tostring(putResponse.StatusCode) .. " - " .. tostring(putResponse.Body))
-end
-return "__PAYLOAD_URL_START__" .. url .. "__PAYLOAD_URL_END__"
 `;
 
-    const luauExitCode = await executeLuau(luauScript, {
-        place: options.place,
-        silent: true,
-        exit: false,
-        timeout: options.timeout ?? "300s",
-        out: luauOutputPath,
-    });
+    const tailer = onEvent ? new LogTailer(luauOutputPath, onEvent) : null;
+    tailer?.start();
+
+    const timeout = options.timeout ?? "300s";
+    const runStartTime = Date.now();
+    let luauExitCode;
+    try {
+        luauExitCode = await backend.run(luauScript, {
+            place: options.place,
+            timeout,
+            out: luauOutputPath,
+            jestOptions,
+            signal,
+        });
+    } finally {
+        tailer?.stop();
+    }
+    const timeoutMs = parseTimeout(timeout);
+    const timedOut =
+        luauExitCode !== 0 &&
+        !signal?.aborted &&
+        timeoutMs !== undefined &&
+        Date.now() - runStartTime >= timeoutMs;
 
     const outputLog = fs.readFileSync(luauOutputPath, "utf-8");
     if (!options.debug) {
@@ -755,9 +1787,20 @@ return "__PAYLOAD_URL_START__" .. url .. "__PAYLOAD_URL_END__"
         }
     }
 
+    if (timedOut && !options.listTests && !options.showConfig) {
+        const result = buildTimedOutResult(
+            parseEventFrames(outputLog).events,
+            timeout,
+        );
+        console.warn(
+            `Test run exceeded the timeout of ${timeout}. Reporting the ${result.results.testResults.length - result.interruptedSuites.length} test suite(s) that completed; ${result.interruptedSuites.length} in progress were interrupted.`,
+        );
+        return result;
+    }
+
     if (luauExitCode !== 0) {
         throw new Error(
-            `Luau script execution failed with exit code: ${luauExitCode}\n${outputLog}`,
+            `Luau script execution failed with exit code: ${luauExitCode}\n${stripEventFrames(outputLog)}`,
         );
     }
 
@@ -766,7 +1809,7 @@ return "__PAYLOAD_URL_START__" .. url .. "__PAYLOAD_URL_END__"
     }
 
     if (options.debug) {
-        console.log(outputLog.split(resultSplitMarker)[0]);
+        console.log(stripEventFrames(outputLog.split(resultSplitMarker)[0]));
     }
 
     if (options.showConfig) {
@@ -792,57 +1835,10 @@ return "__PAYLOAD_URL_START__" .. url .. "__PAYLOAD_URL_END__"
     if (resultMarkerSplit.length < 2) {
         throw new Error(`No result found in output log:\n${outputLog}`);
     }
-    const [miscOutput, luauReturnRaw] = resultMarkerSplit;
+    const [framedOutput, luauReturnRaw] = resultMarkerSplit;
+    const miscOutput = stripEventFrames(framedOutput);
 
-    let jestPayloadRaw;
-    const payloadUrlMatch = luauReturnRaw.match(
-        /__PAYLOAD_URL_START__(.+?)__PAYLOAD_URL_END__/,
-    );
-    const payloadUrl = payloadUrlMatch ? payloadUrlMatch[1] : null;
-    if (payloadUrl) {
-        // Fetch payload from GitHub
-        const gh_token = process.env.JEST_ASSASSIN_GITHUB_TOKEN;
-        if (!gh_token) {
-            throw new Error(
-                "Payload too large; JEST_ASSASSIN_GITHUB_TOKEN not specified",
-            );
-        }
-        const payloadUrlResponse = await fetch(payloadUrl, {
-            headers: {
-                Authorization: `token ${gh_token}`,
-            },
-        });
-        if (!payloadUrlResponse.ok)
-            throw new Error(
-                `Failed to fetch large payload from GitHub: ${payloadUrlResponse.status} ${payloadUrlResponse.statusText}`,
-            );
-
-        const gitUrl = (await payloadUrlResponse.json()).git_url;
-        if (!gitUrl)
-            throw new Error(
-                `Invalid response from GitHub when fetching payload: ${await payloadUrlResponse.text()}`,
-            );
-
-        const gitResponse = await fetch(gitUrl, {
-            headers: {
-                Authorization: `token ${gh_token}`,
-            },
-        });
-        if (!gitResponse.ok)
-            throw new Error(
-                `Failed to fetch large payload content from GitHub: ${gitResponse.status} ${gitResponse.statusText}`,
-            );
-
-        const data = await gitResponse.json();
-        if (!data.content)
-            throw new Error(
-                `Invalid content response from GitHub when fetching payload: ${await gitResponse.text()}`,
-            );
-
-        jestPayloadRaw = Buffer.from(data.content, "base64").toString("utf-8");
-    } else {
-        jestPayloadRaw = luauReturnRaw;
-    }
+    const jestPayloadRaw = luauReturnRaw;
 
     if (miscOutput.includes("No tests found, exiting with code")) {
         const startIndex = miscOutput.indexOf(
@@ -867,6 +1863,11 @@ return "__PAYLOAD_URL_START__" .. url .. "__PAYLOAD_URL_END__"
         const bufferData = Buffer.from(jestPayload.base64, "base64");
         jestPayload = zstdDecompressSync(bufferData).toString("utf-8");
         jestPayload = JSON.parse(jestPayload);
+    } else if (jestPayload.chunked) {
+        const { events } = parseEventFrames(framedOutput);
+        const bufferData = assemblePayloadChunks(events, jestPayload);
+        jestPayload = zstdDecompressSync(bufferData).toString("utf-8");
+        jestPayload = JSON.parse(jestPayload);
     }
 
     if (!jestPayload.resolveSuccess)
@@ -875,6 +1876,61 @@ return "__PAYLOAD_URL_START__" .. url .. "__PAYLOAD_URL_END__"
     return jestPayload;
 }
 
+/**
+ * Builds the result of a run that exceeded its timeout from the checkpoints in its log.
+ * Suites that completed keep their streamed results, suites that were still running are
+ * reported as interrupted, and the last coverage checkpoint is kept.
+ * @param {object[]} events The events parsed from the output log.
+ * @param {string} timeout The timeout that was exceeded.
+ * @returns {{ results: object, coverage?: object, interruptedSuites: string[] }} The partial results, and the raw paths of the interrupted suites.
+ */
+function buildTimedOutResult(events, timeout) {
+    const completed = new Map();
+    const started = new Set();
+    let coverageCheckpoint;
+    for (const event of events) {
+        if (event.type === "suiteStart") {
+            started.add(event.path);
+        } else if (event.type === "suiteResult") {
+            completed.set(event.path, event.result);
+        } else if (event.type === "coverageCheckpoint") {
+            coverageCheckpoint = event.data;
+        }
+    }
+
+    const results = makeEmptyAggregatedTestResult();
+    for (const testResult of completed.values()) {
+        addResult(results, testResult);
+    }
+    const interruptedSuites = [...started].filter(
+        (suite) => !completed.has(suite),
+    );
+    const message = `Test suite was interrupted because the run exceeded the timeout of ${timeout}`;
+    for (const suite of interruptedSuites) {
+        const testResult = buildFailureTestResult(suite, {
+            message,
+            stack: message,
+        });
+        testResult.failureMessage = message;
+        addResult(results, testResult);
+    }
+    results.numTotalTestSuites = results.testResults.length;
+    results.success = false;
+    results.wasInterrupted = true;
+
+    return {
+        results,
+        coverage: coverageCheckpoint
+            ? JSON.parse(
+                  zstdDecompressSync(
+                      Buffer.from(coverageCheckpoint, "base64"),
+                  ).toString("utf-8"),
+              )
+            : undefined,
+        interruptedSuites,
+    };
+}
+
 /**
  * Generates coverage reports using Istanbul.
  * @param {object} coverageData The coverage data in Istanbul format.
@@ -0,0 +1,52 @@
+import crypto from "crypto";
+
+/**
+ * Parses a `--shard` value of the form `<index>/<count>`, where the index starts at 1.
+ * @param {string} shard The shard option.
+ * @returns {{ shardIndex: number, shardCount: number }} The parsed shard.
+ */
+export function parseShard(shard) {
+    const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(String(shard));
+    if (!match) {
+        throw new Error(
+            `The --shard option requires a value in the format <index>/<count>, got "${shard}"`,
+        );
+    }
+
+    const shardIndex = Number(match[1]);
+    const shardCount = Number(match[2]);
+    if (shardCount < 1) {
+        throw new Error("The --shard count must be a positive number");
+    }
+    if (shardIndex < 1 || shardIndex > shardCount) {
+        throw new Error(
+            `The --shard index must be between 1 and ${shardCount}, got ${shardIndex}`,
+        );
+    }
+
+    return { shardIndex, shardCount };
+}
+
+/**
+ * Selects the items that belong to a shard. Like Jest, items are ordered by a hash of their key
+ * so that every machine computes the same split, and each shard takes a contiguous range.
+ * @template T
+ * @param {T[]} items The items to split, e.g. test suites.
+ * @param {{ shardIndex: number, shardCount: number }} shard The shard to select.
+ * @param {(item: T) => string} getKey Returns a key that is stable across machines.
+ * @returns {T[]} The items of the shard.
+ */
+export function selectShard(items, { shardIndex, shardCount }, getKey) {
+    const shardSize = Math.ceil(items.length / shardCount);
+    const shardStart = shardSize * (shardIndex - 1);
+    const shardEnd = shardSize * shardIndex;
+
+    return items
+        .map((item) => ({
+            item,
+            hash: crypto.createHash("sha1").update(getKey(item)).digest("hex"),
+        }))
+        .sort((a, b) => (a.hash < b.hash ? -1 : a.hash > b.hash ? 1 : 0))
+        .slice(shardStart, shardEnd)
+        .map(({ item }) => item);
+}
@@ -0,0 +1,188 @@
+import fs from "fs";
+import path from "path";
+
+const SNAPSHOT_HEADER =
+    "-- Jest Roblox Snapshot v1, http://roblox.github.io/jest-roblox-internal/snapshot-testing";
+const SNAPSHOT_EXTENSIONS = [".snap.lua", ".snap.luau"];
+
+/**
+ * Parses a snapshot file written by Jest Roblox, a ModuleScript of `exports[ [=[name]=] ] = [=[value]=]` lines.
+ * @param {string} source The contents of the snapshot file.
+ * @returns {Record<string, string>} The snapshots, keyed by name.
+ */
+export function parseSnapshotFile(source) {
+    const snapshots = {};
+    const entryPattern =
+        /^exports\[ \[=\[([\s\S]*?)\]=\] \] = \[=\[\n?([\s\S]*?)\]=\]$/gm;
+    for (const [, name, value] of source
+        .replace(/\r\n?/g, "\n")
+        .matchAll(entryPattern)) {
+        snapshots[name] = value;
+    }
+    return snapshots;
+}
+
+/**
+ * Serializes snapshots the way Jest Roblox saves them, so files written here match files
+ * written by Roblox Studio.
+ * @param {Record<string, string>} snapshots The snapshots, keyed by name.
+ * @returns {string} The contents of the snapshot file.
+ */
+export function serializeSnapshotFile(snapshots) {
+    // Jest Roblox approximates a natural sort by padding the numbers in names
+    const sortKey = (name) =>
+        name.replace(
+            /\d+/g,
+            (digits) => `${String(digits.length).padStart(3, "0")}${digits}`,
+        );
+    const names = Object.keys(snapshots).sort((a, b) => {
+        const keyA = sortKey(a);
+        const keyB = sortKey(b);
+        return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+    });
+
+    const lines = [SNAPSHOT_HEADER, "local exports = {}"];
+    for (const name of names) {
+        const value = String(snapshots[name]).replace(/\r\n?/g, "\n");
+        lines.push(`exports[ [=[${name}]=] ] = [=[\n${value}]=]\n`);
+    }
+    lines.push("return exports");
+    return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Returns where the snapshot file of a test script lives on disk: a `__snapshots__` folder next
+ * to its source file, named after the test instance. An existing `.snap.luau` file is preferred
+ * over the `.snap.lua` file Jest Roblox writes.
+ * @param {import("./index").ModulePathEntry} entry The sourcemap entry of the test script.
+ * @returns {string} The absolute path of the snapshot file.
+ */
+export function getSnapshotFilePath(entry) {
+    const scriptPath = entry.sourcePath ?? entry.luauPath;
+    let directory = path.dirname(scriptPath);
+    // A test defined by a folder's init script sits next to that folder
+    if (/^(init|index)\./.test(path.basename(scriptPath))) {
+        directory = path.dirname(directory);
+    }
+    const name = entry.instancePath.split("/").pop();
+    const candidates = SNAPSHOT_EXTENSIONS.map((extension) =>
+        path.join(directory, "__snapshots__", `${name}${extension}`),
+    );
+    return (
+        candidates.find((candidate) => fs.existsSync(candidate)) ??
+        candidates[0]
+    );
+}
+
+/**
+ * Reads the local snapshot files of every test script in the sourcemap, so they can be injected
+ * into the place before the run.
+ * @param {Map<string, import("./index").ModulePathEntry>} modulePathMap The scripts of the sourcemap.
+ * @returns {Record<string, Record<string, string>>} The snapshots, keyed by the instance path of their test script.
+ */
+export function readLocalSnapshots(modulePathMap) {
+    const localSnapshots = {};
+    for (const entry of modulePathMap.values()) {
+        if (!isTestScriptEntry(entry)) continue;
+
+        const snapshotPath = getSnapshotFilePath(entry);
+        if (!fs.existsSync(snapshotPath)) continue;
+        localSnapshots[entry.instancePath] = parseSnapshotFile(
+            fs.readFileSync(snapshotPath, "utf-8"),
+        );
+    }
+    return localSnapshots;
+}
+
+/**
+ * Writes the snapshot files the runtime saved or removed during the run next to their test
+ * sources.
+ * @param {{ testPath: string, snapshots?: Record<string, string>, removed?: boolean }[]} snapshotFiles The files returned by the runtime, keyed by the instance path of their test script.
+ * @param {Map<string, import("./index").ModulePathEntry>} modulePathMap The scripts of the sourcemap.
+ * @returns {{ written: string[], removed: string[], unresolved: string[] }} The files that were written and removed, and the test scripts that are not in the sourcemap.
+ */
+export function writeSnapshotFiles(snapshotFiles, modulePathMap) {
+    const entries = new Map();
+    for (const entry of modulePathMap.values()) {
+        entries.set(entry.instancePath, entry);
+    }
+
+    const status = { written: [], removed: [], unresolved: [] };
+    for (const file of snapshotFiles ?? []) {
+        const entry = entries.get(file.testPath);
+        if (!entry) {
+            status.unresolved.push(file.testPath);
+            continue;
+        }
+
+        const snapshotPath = getSnapshotFilePath(entry);
+        if (file.removed) {
+            if (fs.existsSync(snapshotPath)) {
+                fs.rmSync(snapshotPath);
+                status.removed.push(snapshotPath);
+            }
+        } else {
+            fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+            fs.writeFileSync(
+                snapshotPath,
+                serializeSnapshotFile(file.snapshots ?? {}),
+                "utf-8",
+            );
+            status.written.push(snapshotPath);
+        }
+    }
+    return status;
+}
+
+/**
+ * Finds snapshot files whose test script no longer exists. Only `__snapshots__` folders next to
+ * scripts of the sourcemap are searched.
+ * @param {Map<string, import("./index").ModulePathEntry>} modulePathMap The scripts of the sourcemap.
+ * @returns {string[]} The absolute paths of the obsolete snapshot files.
+ */
+export function findObsoleteSnapshotFiles(modulePathMap) {
+    const snapshotPaths = new Set();
+    const directories = new Set();
+    for (const entry of modulePathMap.values()) {
+        if (!isTestScriptEntry(entry)) continue;
+        const snapshotPath = getSnapshotFilePath(entry);
+        for (const extension of SNAPSHOT_EXTENSIONS) {
+            snapshotPaths.add(
+                snapshotPath.replace(/\.snap\.luau?$/, extension),
+            );
+        }
+        directories.add(path.dirname(snapshotPath));
+    }
+
+    const obsolete = [];
+    for (const directory of directories) {
+        if (!fs.existsSync(directory)) continue;
+        for (const file of fs.readdirSync(directory)) {
+            const filePath = path.join(directory, file);
+            if (
+                SNAPSHOT_EXTENSIONS.some((extension) =>
+                    file.endsWith(extension),
+                ) &&
+                !snapshotPaths.has(filePath)
+            ) {
+                obsolete.push(filePath);
+            }
+        }
+    }
+    return obsolete.sort();
+}
+
+/**
+ * Whether a sourcemap entry is a script that can hold tests, rather than a snapshot module.
+ * @param {import("./index").ModulePathEntry} entry The sourcemap entry.
+ * @returns {boolean} Whether snapshots can belong to the script.
+ */
+function isTestScriptEntry(entry) {
+    return (
+        entry.className === "ModuleScript" &&
+        Boolean(entry.instancePath) &&
+        !entry.instancePath.endsWith(".snap") &&
+        !entry.instancePath.includes("rbxts_include") &&
+        !entry.instancePath.includes("node_modules")
+    );
+}
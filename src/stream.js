@@ -0,0 +1,212 @@
+import fs from "fs";
+import { StringDecoder } from "string_decoder";
+
+/**
+ * Marks the start of a framed event printed by the Luau script.
+ * A frame looks like `__JEST_EVENT_START__{"type":"suiteStart",...}__JEST_EVENT_END__`.
+ */
+export const EVENT_START_MARKER = "__JEST_EVENT_START__";
+
+/**
+ * Marks the end of a framed event printed by the Luau script.
+ */
+export const EVENT_END_MARKER = "__JEST_EVENT_END__";
+
+/**
+ * Extracts all complete event frames from a chunk of log text.
+ * @param {string} text The log text to parse.
+ * @returns {{ events: object[], rest: string }} The decoded events, and the trailing text that may hold an incomplete frame.
+ */
+export function parseEventFrames(text) {
+    const events = [];
+    let cursor = 0;
+
+    while (true) {
+        const start = text.indexOf(EVENT_START_MARKER, cursor);
+        if (start === -1) {
+            // Keep a possible partial start marker for the next read
+            const keepFrom = Math.max(
+                cursor,
+                text.length - EVENT_START_MARKER.length,
+            );
+            return { events, rest: text.slice(keepFrom) };
+        }
+
+        const end = text.indexOf(EVENT_END_MARKER, start);
+        if (end === -1) {
+            return { events, rest: text.slice(start) };
+        }
+
+        const body = text.slice(start + EVENT_START_MARKER.length, end);
+        try {
+            events.push(JSON.parse(body));
+        } catch {
+            // Ignore malformed frames, e.g. when a print was truncated
+        }
+        cursor = end + EVENT_END_MARKER.length;
+    }
+}
+
+/**
+ * Removes all event frames from log text, leaving the regular output.
+ * @param {string} text The log text.
+ * @returns {string} The log text without event frames.
+ */
+export function stripEventFrames(text) {
+    if (!text) return text;
+    let result = "";
+    let cursor = 0;
+
+    while (true) {
+        const start = text.indexOf(EVENT_START_MARKER, cursor);
+        if (start === -1) break;
+        const end = text.indexOf(EVENT_END_MARKER, start);
+        if (end === -1) break;
+
+        result += text.slice(cursor, start);
+        cursor = end + EVENT_END_MARKER.length;
+        // Drop the newline that followed the frame's print
+        if (text[cursor] === "\r") cursor++;
+        if (text[cursor] === "\n") cursor++;
+    }
+
+    return result + text.slice(cursor);
+}
+
+/**
+ * Follows a log file that is being written by a running Luau execution and
+ * hands every event frame to a callback as soon as it is complete.
+ */
+export class LogTailer {
+    /**
+     * @param {string} filePath The log file to follow. It does not need to exist yet.
+     * @param {(event: object) => void} onEvent Called with each decoded event, in order.
+     * @param {number} intervalMs How often to poll the file for new output.
+     */
+    constructor(filePath, onEvent, intervalMs = 250) {
+        this.filePath = filePath;
+        this.onEvent = onEvent;
+        this.intervalMs = intervalMs;
+        this.offset = 0;
+        this.pending = "";
+        this.decoder = new StringDecoder("utf-8");
+        this.timer = null;
+    }
+
+    /**
+     * Starts polling the log file.
+     */
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.poll(), this.intervalMs);
+    }
+
+    /**
+     * Reads any output written since the last poll and emits complete frames.
+     */
+    poll() {
+        let size;
+        try {
+            size = fs.statSync(this.filePath).size;
+        } catch {
+            return;
+        }
+
+        // The file was replaced or truncated; start over
+        if (size < this.offset) {
+            this.offset = 0;
+            this.pending = "";
+            this.decoder = new StringDecoder("utf-8");
+        }
+        if (size === this.offset) return;
+
+        const length = size - this.offset;
+        const chunk = Buffer.alloc(length);
+        const fd = fs.openSync(this.filePath, "r");
+        try {
+            fs.readSync(fd, chunk, 0, length, this.offset);
+        } finally {
+            fs.closeSync(fd);
+        }
+        this.offset = size;
+
+        const { events, rest } = parseEventFrames(
+            this.pending + this.decoder.write(chunk),
+        );
+        this.pending = rest;
+        for (const event of events) {
+            this.onEvent(event);
+        }
+    }
+
+    /**
+     * Stops polling after emitting whatever is left in the file.
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.poll();
+    }
+}
+
+/**
+ * Computes the Adler-32 checksum of a buffer. The Luau script uses the same
+ * algorithm since it only needs additions and modulo, which Luau numbers handle exactly.
+ * @param {Buffer} data The data to checksum.
+ * @returns {number} The unsigned 32-bit checksum.
+ */
+export function adler32(data) {
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < data.length; i++) {
+        a = (a + data[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return b * 65536 + a;
+}
+
+/**
+ * Reassembles a payload that the Luau script split into `payloadChunk` events.
+ * Every chunk and the reassembled payload are verified against their checksums.
+ * @param {object[]} events The events parsed from the output log.
+ * @param {{ count: number, size: number, checksum: number }} manifest The chunk count, byte size and checksum of the whole payload.
+ * @returns {Buffer} The reassembled payload.
+ */
+export function assemblePayloadChunks(events, manifest) {
+    const chunks = new Map();
+    for (const event of events) {
+        if (event.type !== "payloadChunk") continue;
+
+        const data = Buffer.from(event.data, "base64");
+        if (adler32(data) !== event.checksum) {
+            throw new Error(
+                `Checksum mismatch in result chunk ${event.index} of ${manifest.count}`,
+            );
+        }
+        chunks.set(event.index, data);
+    }
+
+    const ordered = [];
+    for (let index = 1; index <= manifest.count; index++) {
+        const chunk = chunks.get(index);
+        if (!chunk) {
+            throw new Error(
+                `Missing result chunk ${index} of ${manifest.count}; the output log may have been truncated`,
+            );
+        }
+        ordered.push(chunk);
+    }
+
+    const payload = Buffer.concat(ordered);
+    if (
+        payload.length !== manifest.size ||
+        adler32(payload) !== manifest.checksum
+    ) {
+        throw new Error(
+            `Reassembled result payload does not match its checksum (${payload.length} of ${manifest.size} bytes)`,
+        );
+    }
+    return payload;
+}
@@ -0,0 +1,116 @@
+import fs from "fs";
+import { readCacheJson, writeCacheJson } from "./cache.js";
+
+const TIMINGS_FILE = "timings.json";
+
+/**
+ * The duration assumed for a suite when no suite has timing history yet.
+ */
+const DEFAULT_SUITE_DURATION_MS = 1000;
+
+/**
+ * Loads the durations of every project recorded by previous runs.
+ * @returns {Record<string, Record<string, number>>} Durations keyed by project key.
+ */
+function loadAllTimings() {
+    const timings = readCacheJson(TIMINGS_FILE, {});
+    if (!timings || typeof timings !== "object") return {};
+    // Durations recorded before they were kept per project are dropped
+    return Object.fromEntries(
+        Object.entries(timings).filter(
+            ([, durations]) => durations && typeof durations === "object",
+        ),
+    );
+}
+
+/**
+ * Loads the suite durations recorded by previous runs of a project.
+ * @param {string} projectKey The key of the project, as returned by `getProjectKey`.
+ * @returns {Record<string, number>} Durations in milliseconds, keyed by absolute test file path.
+ */
+export function loadTimings(projectKey) {
+    return loadAllTimings()[projectKey] ?? {};
+}
+
+/**
+ * Records the duration of every suite that ran, keeping the history of suites that did not as long
+ * as their test file still exists.
+ * @param {string} projectKey The key of the project, as returned by `getProjectKey`.
+ * @param {object[]} testResults The suite results, with test file paths already rewritten to source paths.
+ */
+export function recordTimings(projectKey, testResults) {
+    const allTimings = loadAllTimings();
+    const timings = allTimings[projectKey] ?? {};
+    let changed = false;
+
+    // Suites that were deleted or renamed would otherwise be kept forever
+    const ran = new Set(testResults.map((suite) => suite.testFilePath));
+    for (const testFilePath of Object.keys(timings)) {
+        if (ran.has(testFilePath) || fs.existsSync(testFilePath)) continue;
+        delete timings[testFilePath];
+        changed = true;
+    }
+
+    for (const suite of testResults) {
+        if (suite.testExecError || !suite.perfStats) continue;
+
+        const { runtime, start, end } = suite.perfStats;
+        const duration = Number.isFinite(runtime) ? runtime : end - start;
+        if (!Number.isFinite(duration) || duration < 0) continue;
+
+        timings[suite.testFilePath] = duration;
+        changed = true;
+    }
+
+    if (changed) {
+        allTimings[projectKey] = timings;
+        writeCacheJson(TIMINGS_FILE, allTimings);
+    }
+}
+
+/**
+ * Splits suites across workers so that each worker's expected duration is as even as possible.
+ * Like Jest's test sequencer, the slowest suites are placed first, each on the least loaded worker.
+ * Suites without history are assumed to take the average of the known durations.
+ * @param {string[]} suites The suites to split.
+ * @param {number} workerCount The maximum number of workers.
+ * @param {(suite: string) => number | undefined} getDuration Returns the recorded duration of a suite, if any.
+ * @returns {string[][]} The suites for each worker, without empty workers.
+ */
+export function partitionByDuration(suites, workerCount, getDuration) {
+    const known = suites
+        .map((suite) => getDuration(suite))
+        .filter((duration) => Number.isFinite(duration));
+    const fallbackDuration =
+        known.length > 0
+            ? known.reduce((sum, duration) => sum + duration, 0) / known.length
+            : DEFAULT_SUITE_DURATION_MS;
+
+    const weighted = suites.map((suite, index) => {
+        const duration = getDuration(suite);
+        return {
+            suite,
+            index,
+            duration: Number.isFinite(duration) ? duration : fallbackDuration,
+        };
+    });
+    // Stable order for equal durations keeps runs reproducible
+    weighted.sort((a, b) => b.duration - a.duration || a.index - b.index);
+
+    const workers = Array.from(
+        { length: Math.max(1, Math.min(workerCount, suites.length)) },
+        () => ({ suites: [], total: 0 }),
+    );
+    for (const { suite, duration } of weighted) {
+        let lightest = workers[0];
+        for (const worker of workers) {
+            if (worker.total < lightest.total) lightest = worker;
+        }
+        lightest.suites.push(suite);
+        lightest.total += duration;
+    }
+
+    return workers
+        .filter((worker) => worker.suites.length > 0)
+        .map((worker) => worker.suites);
+}
@@ -0,0 +1,269 @@
+import chalk from "chalk";
+
+const KEYS = {
+    CONTROL_C: "\u0003",
+    CONTROL_D: "\u0004",
+    ENTER: "\r",
+    ESCAPE: "\u001b",
+    BACKSPACE: "\u007f",
+    BACKSPACE_LEGACY: "\b",
+};
+
+/**
+ * The interactive keyboard menu of watch mode. It keeps the filters chosen with the keys
+ * so they carry across reruns, like Jest's watch usage menu.
+ */
+export class WatchMenu {
+    /**
+     * @param {object} settings The menu settings.
+     * @param {{ testPathPattern?: string, testNamePattern?: string, onlyFailures?: boolean }} [settings.filters] The filters to start with, from the resolved options.
+     * @param {(options: object, reason: string) => void} settings.onRun Called with the options to rerun the tests with.
+     * @param {() => void} settings.onQuit Called when the user quits.
+     * @param {NodeJS.ReadStream} [settings.stdin] The input to read keys from.
+     * @param {NodeJS.WriteStream} [settings.stdout] The output to print the menu to.
+     */
+    constructor({
+        filters = {},
+        onRun,
+        onQuit,
+        stdin = process.stdin,
+        stdout = process.stdout,
+    }) {
+        this.filters = {
+            testPathPattern: filters.testPathPattern || undefined,
+            testNamePattern: filters.testNamePattern || undefined,
+            onlyFailures: Boolean(filters.onlyFailures),
+        };
+        // Until `f` or `a` is pressed, runs keep the onlyFailures of the CLI, config or environment
+        this.onlyFailuresChosen = false;
+        this.onRun = onRun;
+        this.onQuit = onQuit;
+        this.stdin = stdin;
+        this.stdout = stdout;
+        this.prompt = null;
+        this.onData = (data) => {
+            for (const key of splitKeys(String(data))) {
+                this.handleKey(key);
+            }
+        };
+    }
+
+    /**
+     * Starts reading keys. Does nothing when the input is not an interactive terminal.
+     * @returns {boolean} Whether the menu is active.
+     */
+    start() {
+        if (!this.stdin.isTTY) return false;
+        this.stdin.setRawMode(true);
+        this.stdin.setEncoding("utf-8");
+        this.stdin.on("data", this.onData);
+        this.stdin.resume();
+        return true;
+    }
+
+    /**
+     * Stops reading keys and gives the terminal back.
+     */
+    stop() {
+        this.stdin.off("data", this.onData);
+        if (this.stdin.isTTY) {
+            this.stdin.setRawMode(false);
+        }
+        this.stdin.pause();
+    }
+
+    /**
+     * Returns the options that apply the active filters to a run. A cleared pattern is `null`, so
+     * it also clears a pattern set by the config file or the environment.
+     * @returns {{ testPathPattern?: string | null, testNamePattern?: string | null, onlyFailures?: boolean }} The options.
+     */
+    getRunOptions() {
+        const { onlyFailures, ...filters } = this.filters;
+        return this.onlyFailuresChosen ? { ...filters, onlyFailures } : filters;
+    }
+
+    /**
+     * Handles a key press, or a character typed into an open pattern prompt.
+     * @param {string} key The key.
+     */
+    handleKey(key) {
+        if (key === "\n") key = KEYS.ENTER;
+        if (this.prompt) {
+            this.handlePromptKey(key);
+            return;
+        }
+
+        switch (key) {
+            case "q":
+            case KEYS.CONTROL_C:
+            case KEYS.CONTROL_D:
+                this.onQuit();
+                break;
+            case "a":
+                this.filters = {
+                    testPathPattern: null,
+                    testNamePattern: null,
+                    onlyFailures: false,
+                };
+                this.onlyFailuresChosen = true;
+                this.run("run all");
+                break;
+            case "f":
+                this.filters.onlyFailures = !this.filters.onlyFailures;
+                this.onlyFailuresChosen = true;
+                this.run(
+                    this.filters.onlyFailures
+                        ? "failed tests only"
+                        : "all failed and passing tests",
+                );
+                break;
+            case "p":
+                this.openPrompt("testPathPattern", "filename regex");
+                break;
+            case "t":
+                this.openPrompt("testNamePattern", "test name regex");
+                break;
+            case "u":
+                this.run("update snapshots", { updateSnapshot: true });
+                break;
+            case KEYS.ENTER:
+                this.run("rerun");
+                break;
+            case "w":
+                this.printUsage();
+                break;
+        }
+    }
+
+    /**
+     * Starts reading a pattern for a filter.
+     * @param {"testPathPattern" | "testNamePattern"} filter The filter to set.
+     * @param {string} label What the pattern is matched against.
+     */
+    openPrompt(filter, label) {
+        this.prompt = { filter, label, value: this.filters[filter] ?? "" };
+        this.stdout.write(
+            `\n${chalk.bold("Pattern Mode Usage")}\n` +
+                `${chalk.dim(" › Press")} Esc ${chalk.dim("to exit pattern mode.")}\n` +
+                `${chalk.dim(" › Press")} Enter ${chalk.dim(`to filter by a ${label}.`)}\n\n` +
+                ` pattern › ${this.prompt.value}`,
+        );
+    }
+
+    /**
+     * Edits the open prompt, and applies it on Enter.
+     * @param {string} key The key.
+     */
+    handlePromptKey(key) {
+        const prompt = this.prompt;
+        if (key === KEYS.ESCAPE || key === KEYS.CONTROL_C) {
+            this.prompt = null;
+            this.stdout.write("\n");
+            this.printUsage();
+        } else if (key === KEYS.ENTER) {
+            this.prompt = null;
+            this.stdout.write("\n");
+            const pattern = prompt.value.trim();
+            try {
+                new RegExp(pattern, "i");
+            } catch (error) {
+                this.stdout.write(
+                    chalk.red(`Invalid ${prompt.label}: ${error.message}\n`),
+                );
+                return;
+            }
+            this.filters[prompt.filter] = pattern || null;
+            this.run(`${prompt.label} ${pattern ? `/${pattern}/` : "cleared"}`);
+        } else if (key === KEYS.BACKSPACE || key === KEYS.BACKSPACE_LEGACY) {
+            if (prompt.value.length > 0) {
+                prompt.value = prompt.value.slice(0, -1);
+                this.stdout.write("\b \b");
+            }
+        } else if (key.length === 1 && key >= " ") {
+            prompt.value += key;
+            this.stdout.write(key);
+        }
+    }
+
+    /**
+     * Requests a run with the active filters.
+     * @param {string} reason Why the tests are run, for the log.
+     * @param {object} [extraOptions] Options that only apply to this run.
+     */
+    run(reason, extraOptions = {}) {
+        this.onRun({ ...this.getRunOptions(), ...extraOptions }, reason);
+    }
+
+    /**
+     * Describes the active filters, e.g. `filename /combat/, test name /damage/`.
+     * @returns {string | undefined} The description, or undefined without filters.
+     */
+    describeFilters() {
+        const parts = [];
+        if (this.filters.testPathPattern) {
+            parts.push(
+                `filename ${chalk.yellow(`/${this.filters.testPathPattern}/`)}`,
+            );
+        }
+        if (this.filters.testNamePattern) {
+            parts.push(
+                `test name ${chalk.yellow(`/${this.filters.testNamePattern}/`)}`,
+            );
+        }
+        if (this.filters.onlyFailures) {
+            parts.push(chalk.yellow("failed tests only"));
+        }
+        return parts.length > 0 ? parts.join(", ") : undefined;
+    }
+
+    /**
+     * Prints the active filters and a hint about the usage menu, after a run.
+     */
+    printStatus() {
+        const filters = this.describeFilters();
+        if (filters) {
+            this.stdout.write(
+                `\n${chalk.bold("Active Filters:")} ${filters}\n`,
+            );
+        }
+        this.stdout.write(
+            `\n${chalk.bold("Watch Usage:")} ${chalk.dim("Press")} w ${chalk.dim("to show more.")}\n`,
+        );
+    }
+
+    /**
+     * Prints every key the menu responds to.
+     */
+    printUsage() {
+        const line = (key, description) =>
+            `${chalk.dim(" › Press")} ${key} ${chalk.dim(`to ${description}.`)}\n`;
+        this.stdout.write(
+            `\n${chalk.bold("Watch Usage")}\n` +
+                line("a", "run all tests") +
+                line(
+                    "f",
+                    this.filters.onlyFailures
+                        ? "run all tests, not only failed ones"
+                        : "run only failed tests",
+                ) +
+                line("p", "filter by a filename regex pattern") +
+                line("t", "filter by a test name regex pattern") +
+                line("u", "update failing snapshots") +
+                line("q", "quit watch mode") +
+                line("Enter", "trigger a test run"),
+        );
+    }
+}
+
+/**
+ * Splits terminal input into keys. Typed or pasted text arrives as one chunk, while escape
+ * sequences like arrow keys stay whole so they are not read as Escape.
+ * @param {string} data The input chunk.
+ * @returns {string[]} The keys.
+ */
+function splitKeys(data) {
+    if (data.startsWith(KEYS.ESCAPE) && data.length > 1) {
+        return [data];
+    }
+    return [...data];
+}
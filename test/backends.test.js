@@ -0,0 +1,52 @@
+import { describe, expect, it, jest } from "@jest/globals";
+
+// rbxluau is only loaded by the Open Cloud backend, so it is mocked instead of run
+const executeLuau = jest.fn();
+jest.unstable_mockModule("rbxluau", () => ({ executeLuau }), {
+    virtual: true,
+});
+const { openCloudBackend } = await import("../src/backends.js");
+
+const context = { place: "place.rbxl", timeout: "300s", out: "out.log" };
+
+describe("backends.js", () => {
+    it("should run scripts through rbxluau", async () => {
+        executeLuau.mockResolvedValueOnce(0);
+
+        await expect(openCloudBackend.run("print(1)", context)).resolves.toBe(
+            0,
+        );
+        expect(executeLuau).toHaveBeenCalledWith("print(1)", {
+            place: "place.rbxl",
+            silent: true,
+            exit: false,
+            timeout: "300s",
+            out: "out.log",
+        });
+    });
+
+    it("should stop waiting for the task once the signal is aborted", async () => {
+        executeLuau.mockClear();
+        executeLuau.mockReturnValueOnce(new Promise(() => {}));
+        const controller = new AbortController();
+
+        const run = openCloudBackend.run("print(1)", {
+            ...context,
+            signal: controller.signal,
+        });
+        // Abort once the task has started
+        await new Promise((resolve) => setImmediate(resolve));
+        expect(executeLuau).toHaveBeenCalledTimes(1);
+        controller.abort();
+
+        await expect(run).resolves.toBe(1);
+        await expect(
+            openCloudBackend.run("print(1)", {
+                ...context,
+                signal: controller.signal,
+            }),
+        ).resolves.toBe(1);
+        // A run that is already aborted does not start a task
+        expect(executeLuau).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,128 @@
+import { describe, expect, it, jest } from "@jest/globals";
+import fs from "fs";
+import path from "path";
+import {
+    getDefaultBuildCommands,
+    getSourceWatchPaths,
+    runBuildPipeline,
+} from "../src/build.js";
+import { createTempDir } from "./helpers.js";
+
+/**
+ * Creates a roblox-ts style project in a temporary directory.
+ * @returns {{ tempDir: string, rojoProject: object, compilerOptions: object }} The project.
+ */
+function createProject() {
+    const tempDir = createTempDir({
+        "default.project.json": JSON.stringify({
+            name: "game",
+            tree: {
+                $className: "DataModel",
+                ReplicatedStorage: {
+                    rbxts_include: {
+                        $path: "include",
+                        node_modules: { $path: "node_modules/@rbxts" },
+                    },
+                    src: { $path: "out" },
+                    Shared: { $path: "luau" },
+                },
+            },
+        }),
+        "tsconfig.json": "{}",
+    });
+    return {
+        tempDir,
+        rojoProject: {
+            file: path.join(tempDir, "default.project.json"),
+            root: tempDir,
+        },
+        compilerOptions: { rootDir: "src", outDir: "out" },
+    };
+}
+
+describe("build.js", () => {
+    describe("getSourceWatchPaths", () => {
+        it("should watch sources instead of the compiled output and dependencies", () => {
+            const { tempDir, rojoProject, compilerOptions } = createProject();
+
+            expect(
+                getSourceWatchPaths(rojoProject, compilerOptions).sort(),
+            ).toEqual(
+                [
+                    path.join(tempDir, "src"),
+                    path.join(tempDir, "default.project.json"),
+                    path.join(tempDir, "luau"),
+                ].sort(),
+            );
+
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+    });
+
+    describe("getDefaultBuildCommands", () => {
+        it("should compile roblox-ts projects before building the place", () => {
+            const { tempDir, rojoProject, compilerOptions } = createProject();
+
+            expect(
+                getDefaultBuildCommands({
+                    rojoProject,
+                    compilerOptions,
+                    place: path.join(tempDir, "place.rbxl"),
+                }),
+            ).toEqual([
+                "npx rbxtsc",
+                `rojo build "default.project.json" -o "place.rbxl"`,
+            ]);
+
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+    });
+
+    describe("runBuildPipeline", () => {
+        it("should stop at the first command that fails", async () => {
+            const consoleLogSpy = jest
+                .spyOn(console, "log")
+                .mockImplementation(() => {});
+            const errors = [];
+            const stdErrSpy = jest
+                .spyOn(process.stderr, "write")
+                .mockImplementation((data) => errors.push(String(data)));
+            const tempDir = createTempDir();
+            const node = JSON.stringify(process.execPath);
+
+            const result = await runBuildPipeline(
+                [
+                    `${node} -e "require('fs').writeFileSync('first', '')"`,
+                    `${node} -e "console.error('type error'); process.exit(2)"`,
+                    `${node} -e "require('fs').writeFileSync('third', '')"`,
+                ],
+                { cwd: tempDir },
+            );
+
+            expect(result).toEqual({
+                success: false,
+                command: expect.stringContaining("type error"),
+                exitCode: 2,
+            });
+            expect(fs.existsSync(path.join(tempDir, "first"))).toBe(true);
+            expect(fs.existsSync(path.join(tempDir, "third"))).toBe(false);
+            expect(errors.join("")).toContain("type error");
+
+            fs.rmSync(tempDir, { recursive: true, force: true });
+            consoleLogSpy.mockRestore();
+            stdErrSpy.mockRestore();
+        });
+
+        it("should succeed when every command succeeds", async () => {
+            const consoleLogSpy = jest
+                .spyOn(console, "log")
+                .mockImplementation(() => {});
+            const node = JSON.stringify(process.execPath);
+
+            const result = await runBuildPipeline([`${node} -e "0"`]);
+
+            expect(result).toEqual({ success: true });
+            consoleLogSpy.mockRestore();
+        });
+    });
+});
@@ -0,0 +1,174 @@
+import { describe, expect, it } from "@jest/globals";
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { ensureCache } from "../src/cache.js";
+import {
+    findConfigFile,
+    formatShowConfig,
+    readEnvOptions,
+    resolveOptions,
+} from "../src/config.js";
+import { getOptionTypes } from "../src/options.js";
+import { createTempDir } from "./helpers.js";
+
+describe("config.js", () => {
+    it("should discover config files and the jestrbx key of package.json", () => {
+        const jsDir = createTempDir({
+            "jestrbx.config.mjs": "export default { verbose: true };",
+            "package.json": JSON.stringify({ name: "game" }),
+        });
+        const packageDir = createTempDir({
+            "package.json": JSON.stringify({ jestrbx: { verbose: true } }),
+        });
+        const emptyDir = createTempDir({});
+
+        expect(findConfigFile(jsDir)).toBe(
+            path.join(jsDir, "jestrbx.config.mjs"),
+        );
+        expect(findConfigFile(packageDir)).toBe(
+            path.join(packageDir, "package.json"),
+        );
+        expect(findConfigFile(emptyDir)).toBeUndefined();
+
+        for (const dir of [jsDir, packageDir, emptyDir]) {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it("should load TypeScript config files written with defineConfig", async () => {
+        const configModule = pathToFileURL(
+            path.resolve("src", "config.js"),
+        ).href;
+        const tempDir = createTempDir({
+            "jestrbx.config.mts": [
+                `import { defineConfig } from "${configModule}";`,
+                `import { workers } from "./workers.mjs";`,
+                "",
+                "export default defineConfig({",
+                '    place: "game.rbxl",',
+                "    maxWorkers: workers,",
+                "    testTimeout: 5000 as number",
+                "});",
+            ].join("\n"),
+            "workers.mjs": "export const workers = 2;",
+        });
+
+        const { options, sources } = await resolveOptions(
+            {},
+            { cwd: tempDir, env: {} },
+        );
+
+        expect(options).toMatchObject({
+            place: "game.rbxl",
+            maxWorkers: 2,
+            testTimeout: 5000,
+        });
+        expect(sources.place).toEqual({
+            layer: "config",
+            from: "jestrbx.config.mts",
+        });
+        // The transpiled module is written to the cache and removed once loaded
+        expect(fs.readdirSync(tempDir).sort()).toEqual([
+            "jestrbx.config.mts",
+            "workers.mjs",
+        ]);
+        expect(
+            fs
+                .readdirSync(ensureCache())
+                .filter((name) => name.startsWith("jestrbx.config")),
+        ).toEqual([]);
+
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("should refuse to pick between several config files", () => {
+        const tempDir = createTempDir({
+            "jestrbx.config.json": "{}",
+            "package.json": JSON.stringify({ jestrbx: {} }),
+        });
+
+        expect(() => findConfigFile(tempDir)).toThrow(
+            "Multiple configurations found",
+        );
+
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("should read options from JESTRBX_ environment variables", () => {
+        expect(
+            readEnvOptions(
+                {
+                    JESTRBX_MAX_WORKERS: "4",
+                    JESTRBX_CI: "true",
+                    JESTRBX_SHARD: "1/3",
+                    JESTRBX_CACHE_DIR: "/tmp/cache",
+                    JESTRBX_API_KEY: "secret",
+                    JEST_TEST_NAME_PATTERN: "damage",
+                    PATH: "/usr/bin",
+                },
+                getOptionTypes([{ name: "--ci", type: "[boolean]" }]),
+            ),
+        ).toEqual({
+            options: {
+                maxWorkers: 4,
+                ci: true,
+                shard: "1/3",
+                testNamePattern: "damage",
+            },
+            variables: {
+                maxWorkers: "JESTRBX_MAX_WORKERS",
+                ci: "JESTRBX_CI",
+                shard: "JESTRBX_SHARD",
+                testNamePattern: "JEST_TEST_NAME_PATTERN",
+            },
+        });
+
+        // The bundled Roblox Jest options are known without the documented ones
+        expect(readEnvOptions({ JESTRBX_SILENT: "true" }).options).toEqual({
+            silent: true,
+        });
+    });
+
+    it("should layer defaults, the config file, the environment and the CLI", async () => {
+        const tempDir = createTempDir({
+            "jestrbx.config.json": JSON.stringify({
+                timeout: "10m",
+                maxWorkers: 2,
+                verbose: true,
+            }),
+        });
+
+        const { options, sources, configPath } = await resolveOptions(
+            { verbose: false, place: undefined },
+            { cwd: tempDir, env: { JESTRBX_MAX_WORKERS: "3" } },
+        );
+
+        expect(configPath).toBe(path.join(tempDir, "jestrbx.config.json"));
+        expect(options).toEqual({
+            timeout: "10m",
+            maxWorkers: 3,
+            workerRetries: 1,
+            coverageDirectory: "coverage",
+            verbose: false,
+        });
+        expect(sources).toEqual({
+            timeout: { layer: "config", from: "jestrbx.config.json" },
+            maxWorkers: { layer: "env", from: "JESTRBX_MAX_WORKERS" },
+            workerRetries: { layer: "default" },
+            coverageDirectory: { layer: "default" },
+            verbose: { layer: "cli" },
+        });
+
+        const shown = JSON.parse(
+            formatShowConfig(options, sources, '{"verbose": false}'),
+        );
+        expect(shown.jestrbx.maxWorkers).toEqual({
+            value: 3,
+            source: "env (JESTRBX_MAX_WORKERS)",
+        });
+        expect(shown.runtime).toEqual({ verbose: false });
+
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+});
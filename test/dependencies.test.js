@@ -0,0 +1,206 @@
+import { describe, expect, it } from "@jest/globals";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import path from "path";
+import {
+    findRelatedScripts,
+    getChangedFiles,
+    parseRequires,
+} from "../src/dependencies.js";
+import { createTempDir } from "./helpers.js";
+
+/**
+ * Creates a git repository in a temporary directory with a first commit.
+ * @param {Record<string, string>} files The committed files and their contents.
+ * @returns {{ tempDir: string, git: (...args: string[]) => string }} The repository.
+ */
+function createRepository(files) {
+    const tempDir = createTempDir(files);
+    const git = (...args) =>
+        execFileSync(
+            "git",
+            [
+                "-c",
+                "user.name=test",
+                "-c",
+                "user.email=test@example.com",
+                ...args,
+            ],
+            { cwd: tempDir, encoding: "utf-8", stdio: "pipe" },
+        );
+    git("init", "-q");
+    git("add", "-A");
+    git("commit", "-q", "-m", "initial");
+    return { tempDir, git };
+}
+
+describe("dependencies.js", () => {
+    describe("parseRequires", () => {
+        const modulePath = "ReplicatedStorage/src/combat/melee";
+
+        it("should resolve instance requires relative to the script", () => {
+            const source = [
+                `local Damage = require(script.Parent.Damage)`,
+                `local Util = require(script.Parent.Parent:WaitForChild("shared"):WaitForChild("Util", 5))`,
+                `local Config = require(script.Parent["Config"])`,
+                `local Child = require(script.Child)`,
+            ].join("\n");
+
+            expect(parseRequires(source, modulePath)).toEqual([
+                "ReplicatedStorage/src/combat/Damage",
+                "ReplicatedStorage/src/shared/Util",
+                "ReplicatedStorage/src/combat/Config",
+                "ReplicatedStorage/src/combat/melee/Child",
+            ]);
+        });
+
+        it("should resolve requires from services and local aliases", () => {
+            const source = [
+                `local ReplicatedStorage = game:GetService("ReplicatedStorage")`,
+                `local Packages = ReplicatedStorage.Packages`,
+                `local Signal = require(Packages.Signal)`,
+                `local Store = require(game.ServerScriptService.Store)`,
+            ].join("\n");
+
+            expect(parseRequires(source, modulePath)).toEqual([
+                "ReplicatedStorage/Packages/Signal",
+                "ServerScriptService/Store",
+            ]);
+        });
+
+        it("should resolve roblox-ts imports", () => {
+            const source = [
+                `local TS = require(game:GetService("ReplicatedStorage"):WaitForChild("rbxts_include"):WaitForChild("RuntimeLib"))`,
+                `local Damage = TS.import(script, script.Parent, "Damage").Damage`,
+                `local _util = TS.import(script, game:GetService("ReplicatedStorage"), "src", "shared", "util")`,
+            ].join("\n");
+
+            expect(parseRequires(source, modulePath)).toEqual([
+                "ReplicatedStorage/rbxts_include/RuntimeLib",
+                "ReplicatedStorage/src/combat/Damage",
+                "ReplicatedStorage/src/shared/util",
+            ]);
+        });
+
+        it("should resolve relative string requires", () => {
+            const source = [
+                `local Damage = require("./Damage")`,
+                `local Util = require("../shared/Util")`,
+                `local Child = require("@self/Child")`,
+                `local Package = require("@pkg/Signal")`,
+            ].join("\n");
+
+            expect(parseRequires(source, modulePath)).toEqual([
+                "ReplicatedStorage/src/combat/Damage",
+                "ReplicatedStorage/src/shared/Util",
+                "ReplicatedStorage/src/combat/melee/Child",
+            ]);
+        });
+
+        it("should ignore requires in comments and strings", () => {
+            const source = [
+                `-- local Old = require(script.Parent.Old)`,
+                `--[[`,
+                `local Legacy = require(script.Parent.Legacy)`,
+                `]]`,
+                `--[==[ require(script.Parent.Removed) ]==]`,
+                `local hint = "require(script.Parent.Hint)"`,
+                `local doc = [[require(script.Parent.Doc)]]`,
+                `local Damage = require(script.Parent["Damage"]) -- require(script.Parent.Trailing)`,
+            ].join("\n");
+
+            expect(parseRequires(source, modulePath)).toEqual([
+                "ReplicatedStorage/src/combat/Damage",
+            ]);
+        });
+
+        it("should ignore requires it cannot resolve", () => {
+            const source = [
+                `local modules = script.Parent:GetChildren()`,
+                `local first = require(modules[1])`,
+            ].join("\n");
+
+            expect(parseRequires(source, modulePath)).toEqual([]);
+        });
+    });
+
+    describe("findRelatedScripts", () => {
+        it("should find scripts that require the files directly or indirectly", () => {
+            const scripts = {
+                Damage: "return {}",
+                Weapon: "local Damage = require(script.Parent.Damage)\nreturn {}",
+                "Weapon.spec": "local Weapon = require(script.Parent.Weapon)",
+                "Menu.spec": "local Menu = {}",
+            };
+            const tempDir = createTempDir(
+                Object.fromEntries(
+                    Object.entries(scripts).map(([name, source]) => [
+                        `${name}.luau`,
+                        source,
+                    ]),
+                ),
+            );
+            const modulePathMap = new Map();
+            for (const name of Object.keys(scripts)) {
+                const luauPath = path.join(tempDir, `${name}.luau`);
+                modulePathMap.set(`ReplicatedStorage.src.${name}`, {
+                    luauPath,
+                    sourcePath: undefined,
+                    className: "ModuleScript",
+                    instancePath: `ReplicatedStorage/src/${name}`,
+                });
+            }
+
+            const related = findRelatedScripts(modulePathMap, [
+                path.join(tempDir, "Damage.luau"),
+            ]);
+
+            expect([...related].sort()).toEqual([
+                "ReplicatedStorage/src/Damage",
+                "ReplicatedStorage/src/Weapon",
+                "ReplicatedStorage/src/Weapon.spec",
+            ]);
+
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+    });
+
+    describe("getChangedFiles", () => {
+        it("should list uncommitted, untracked and committed changes", () => {
+            const { tempDir, git } = createRepository({
+                "src/a.ts": "a",
+                "src/b.ts": "b",
+                "src/c.ts": "c",
+            });
+            const base = git("rev-parse", "HEAD").trim();
+
+            fs.writeFileSync(path.join(tempDir, "src", "a.ts"), "changed");
+            git("commit", "-q", "-am", "change a");
+            fs.writeFileSync(path.join(tempDir, "src", "b.ts"), "changed");
+            fs.writeFileSync(path.join(tempDir, "src", "new.ts"), "new");
+
+            const realDir = fs.realpathSync(tempDir);
+            expect([...getChangedFiles(tempDir)].sort()).toEqual([
+                path.join(realDir, "src", "b.ts"),
+                path.join(realDir, "src", "new.ts"),
+            ]);
+            expect([...getChangedFiles(tempDir, base)].sort()).toEqual([
+                path.join(realDir, "src", "a.ts"),
+                path.join(realDir, "src", "b.ts"),
+                path.join(realDir, "src", "new.ts"),
+            ]);
+
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        it("should throw outside of a git repository", () => {
+            const tempDir = createTempDir();
+
+            expect(() => getChangedFiles(tempDir)).toThrow(
+                "requires a git repository",
+            );
+
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+    });
+});
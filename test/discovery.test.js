@@ -0,0 +1,70 @@
+import { describe, expect, it } from "@jest/globals";
+import { discoverTestFilesFromSourcemap } from "../src/discovery.js";
+
+const moduleMap = (instancePaths) =>
+    new Map(
+        instancePaths.map((instancePath) => [
+            instancePath.replace(/\//g, "."),
+            {
+                luauPath: `/project/${instancePath}.luau`,
+                sourcePath: undefined,
+                className: instancePath.endsWith(".server")
+                    ? "Script"
+                    : "ModuleScript",
+                instancePath,
+            },
+        ]),
+    );
+
+describe("discovery.js", () => {
+    describe("discoverTestFilesFromSourcemap", () => {
+        it("should return test paths relative to the parent of each project", () => {
+            const modulePathMap = moduleMap([
+                "ServerScriptService/tests/jest.config",
+                "ServerScriptService/tests/combat/melee.spec",
+                "ServerScriptService/tests/combat/helpers",
+                "ReplicatedStorage/shared/__tests__/jest.config",
+                "ReplicatedStorage/shared/__tests__/math.spec",
+                "ReplicatedStorage/shared/__tests__/utils",
+                "ReplicatedStorage/shared/outside.spec",
+            ]);
+
+            expect(
+                discoverTestFilesFromSourcemap(modulePathMap, {}).sort(),
+            ).toEqual([
+                "__tests__/math.spec",
+                "__tests__/utils",
+                "tests/combat/melee.spec",
+            ]);
+        });
+
+        it("should use testMatch and testPathIgnorePatterns", () => {
+            const modulePathMap = moduleMap([
+                "ReplicatedStorage/src/jest.config",
+                "ReplicatedStorage/src/a.spec",
+                "ReplicatedStorage/src/b.test",
+                "ReplicatedStorage/src/ignored/c.spec",
+            ]);
+
+            expect(
+                discoverTestFilesFromSourcemap(modulePathMap, {
+                    testMatch: ["**/*.spec"],
+                    testPathIgnorePatterns: ["ignored"],
+                }),
+            ).toEqual(["src/a.spec"]);
+        });
+
+        it("should skip dependencies and non-module scripts", () => {
+            const modulePathMap = moduleMap([
+                "ReplicatedStorage/jest.config",
+                "ReplicatedStorage/rbxts_include/node_modules/pkg/x.spec",
+                "ReplicatedStorage/run.spec.server",
+                "ReplicatedStorage/real.spec",
+            ]);
+
+            expect(discoverTestFilesFromSourcemap(modulePathMap, {})).toEqual([
+                "ReplicatedStorage/real.spec",
+            ]);
+        });
+    });
+});
@@ -0,0 +1,92 @@
+import { describe, expect, it } from "@jest/globals";
+import path from "path";
+import { loadFailures, recordFailures } from "../src/failures.js";
+
+const testCase = (fullName, status) => ({ fullName, status });
+
+describe("failures.js", () => {
+    it("should record failing tests and suites that failed to run", () => {
+        const projectRoot = path.resolve("failures-test", "record");
+
+        recordFailures(projectRoot, [
+            {
+                testFilePath: "src/math.spec",
+                testResults: [
+                    testCase("math adds", "passed"),
+                    testCase("math divides", "failed"),
+                ],
+            },
+            {
+                testFilePath: "src/broken.spec",
+                testExecError: { message: "boom" },
+                testResults: [],
+            },
+            {
+                testFilePath: "src/healthy.spec",
+                testResults: [testCase("healthy works", "passed")],
+            },
+        ]);
+
+        expect(loadFailures(projectRoot)).toEqual({
+            "src/math.spec": { tests: ["math divides"], execError: false },
+            "src/broken.spec": { tests: [], execError: true },
+        });
+    });
+
+    it("should forget tests that pass and keep tests that did not run", () => {
+        const projectRoot = path.resolve("failures-test", "update");
+
+        recordFailures(projectRoot, [
+            {
+                testFilePath: "src/math.spec",
+                testResults: [
+                    testCase("math adds", "failed"),
+                    testCase("math divides", "failed"),
+                ],
+            },
+        ]);
+        recordFailures(projectRoot, [
+            {
+                testFilePath: "src/math.spec",
+                testResults: [
+                    testCase("math adds", "passed"),
+                    testCase("math divides", "pending"),
+                ],
+            },
+        ]);
+
+        expect(loadFailures(projectRoot)).toEqual({
+            "src/math.spec": { tests: ["math divides"], execError: false },
+        });
+
+        recordFailures(projectRoot, [
+            {
+                testFilePath: "src/math.spec",
+                testResults: [testCase("math divides", "passed")],
+            },
+        ]);
+
+        expect(loadFailures(projectRoot)).toEqual({});
+    });
+
+    it("should keep the failures of each project separate", () => {
+        const first = path.resolve("failures-test", "first");
+        const second = path.resolve("failures-test", "second");
+
+        recordFailures(first, [
+            {
+                testFilePath: "src/a.spec",
+                testResults: [testCase("a", "failed")],
+            },
+        ]);
+        recordFailures(second, [
+            {
+                testFilePath: "src/b.spec",
+                testResults: [testCase("b", "failed")],
+            },
+        ]);
+
+        expect(Object.keys(loadFailures(first))).toEqual(["src/a.spec"]);
+        expect(Object.keys(loadFailures(second))).toEqual(["src/b.spec"]);
+    });
+});
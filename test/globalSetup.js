@@ -0,0 +1,10 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Runs write failures, timings and history to a directory of their own instead of the real cache
+export default function globalSetup() {
+    process.env.JESTRBX_CACHE_DIR = fs.mkdtempSync(
+        path.join(os.tmpdir(), "jestrbx-cache-"),
+    );
+}
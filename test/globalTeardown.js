@@ -0,0 +1,5 @@
+import fs from "fs";
+
+export default function globalTeardown() {
+    fs.rmSync(process.env.JESTRBX_CACHE_DIR, { recursive: true, force: true });
+}
@@ -0,0 +1,18 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * Creates a temporary directory with the given files, along with their parent directories.
+ * @param {Record<string, string>} [files] The contents of the files, by path relative to the directory.
+ * @returns {string} The directory.
+ */
+export function createTempDir(files = {}) {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "jestrbx-"));
+    for (const [file, contents] of Object.entries(files)) {
+        const filePath = path.join(tempDir, file);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, contents);
+    }
+    return tempDir;
+}
@@ -0,0 +1,147 @@
+import { describe, expect, it } from "@jest/globals";
+import path from "path";
+import {
+    analyzeHistory,
+    formatHistoryReport,
+    loadHistory,
+    recordHistory,
+} from "../src/history.js";
+
+/**
+ * Builds a recorded run from the statuses of its tests.
+ * @param {Record<string, string>} statuses The status of each test of `src/round.spec.ts`, keyed by full name.
+ * @param {number} duration The duration of the suite in milliseconds.
+ * @returns {object} The run.
+ */
+function historyRun(statuses, duration = 100) {
+    return {
+        timestamp: 0,
+        commit: null,
+        suites: [{ path: "src/round.spec.ts", status: "passed", duration }],
+        tests: Object.entries(statuses).map(([fullName, status]) => ({
+            suite: "src/round.spec.ts",
+            fullName,
+            status,
+        })),
+    };
+}
+
+describe("history.js", () => {
+    it("should append runs with paths relative to the project", () => {
+        const projectRoot = path.resolve("history-test", "record");
+        const projectKey = path.join(projectRoot, "default.project.json");
+        const suite = (name, statuses, extra = {}) => ({
+            testFilePath: path.join(projectRoot, "src", `${name}.spec.ts`),
+            numFailingTests: statuses.filter((s) => s === "failed").length,
+            perfStats: { runtime: 120, start: 0, end: 120 },
+            testResults: statuses.map((status, index) => ({
+                fullName: `${name} case (${index})`,
+                status,
+                duration: 10,
+                invocations: 1,
+            })),
+            ...extra,
+        });
+
+        const before = loadHistory(projectKey).length;
+        recordHistory(
+            projectKey,
+            projectRoot,
+            [suite("round", ["passed", "failed"])],
+            { commit: "abc1234", timestamp: 1 },
+        );
+        recordHistory(projectKey, projectRoot, [], {
+            commit: "abc1234",
+            timestamp: 2,
+        });
+
+        const runs = loadHistory(projectKey);
+        expect(runs).toHaveLength(before + 1);
+        expect(runs.at(-1)).toEqual({
+            timestamp: 1,
+            commit: "abc1234",
+            suites: [
+                { path: "src/round.spec.ts", status: "failed", duration: 120 },
+            ],
+            tests: [
+                {
+                    suite: "src/round.spec.ts",
+                    fullName: "round case (0)",
+                    status: "passed",
+                    duration: 10,
+                },
+                {
+                    suite: "src/round.spec.ts",
+                    fullName: "round case (1)",
+                    status: "failed",
+                    duration: 10,
+                },
+            ],
+        });
+    });
+
+    it("should report newly failing and newly fixed tests", () => {
+        const report = analyzeHistory([
+            historyRun({ starts: "passed", ends: "failed", skips: "failed" }),
+            historyRun({ starts: "failed", ends: "passed", skips: "pending" }),
+        ]);
+
+        expect(report.newlyFailing).toEqual([
+            { suite: "src/round.spec.ts", fullName: "starts" },
+        ]);
+        expect(report.newlyFixed).toEqual([
+            { suite: "src/round.spec.ts", fullName: "ends" },
+        ]);
+    });
+
+    it("should report tests that flip or pass on retry as flaky", () => {
+        const runs = [
+            historyRun({ starts: "passed", ends: "passed" }),
+            historyRun({ starts: "failed", ends: "passed" }),
+            historyRun({ starts: "passed", ends: "passed" }),
+        ];
+        runs[2].tests[1].invocations = 2;
+
+        expect(analyzeHistory(runs).flaky).toEqual([
+            {
+                suite: "src/round.spec.ts",
+                fullName: "starts",
+                flips: 2,
+                retried: 0,
+                runs: 3,
+            },
+            {
+                suite: "src/round.spec.ts",
+                fullName: "ends",
+                flips: 0,
+                retried: 1,
+                runs: 3,
+            },
+        ]);
+        // Flips before the window are not counted
+        expect(analyzeHistory(runs, { window: 2 }).flaky).toHaveLength(1);
+    });
+
+    it("should report suites that are getting slower", () => {
+        const report = analyzeHistory([
+            historyRun({}, 100),
+            historyRun({}, 120),
+            historyRun({}, 110),
+            historyRun({}, 400),
+        ]);
+
+        expect(report.slower).toEqual([
+            { suite: "src/round.spec.ts", duration: 400, usualDuration: 110 },
+        ]);
+        expect(
+            analyzeHistory([historyRun({}, 100), historyRun({}, 180)]).slower,
+        ).toEqual([]);
+
+        const output = formatHistoryReport(report, {
+            timestamp: 0,
+            commit: "abc1234def",
+        });
+        expect(output).toContain("at abc1234 (looking at 4 run(s))");
+        expect(output).toContain("src/round.spec.ts (400 ms, usually 110 ms)");
+    });
+});
@@ -0,0 +1,132 @@
+import { describe, expect, it } from "@jest/globals";
+import {
+    getOptionTypes,
+    getOptionWarnings,
+    parseTimeout,
+    validateOptions,
+} from "../src/options.js";
+
+const CLI_OPTIONS = [
+    { name: "--testNamePattern", type: "[regex]" },
+    { name: "--testTimeout", type: "[number]" },
+    { name: "--ci", type: "[boolean]" },
+];
+
+describe("options.js", () => {
+    it("should combine the documented CLI options with the JS-side ones", () => {
+        const types = getOptionTypes(CLI_OPTIONS);
+
+        expect(types.testTimeout).toEqual(["number"]);
+        expect(types.ci).toEqual(["boolean"]);
+        // Types the JS side relies on win over the documented ones
+        expect(types.testNamePattern).toEqual(["string"]);
+        expect(types.maxWorkers).toEqual(["number"]);
+    });
+
+    it("should suggest the closest option for unknown ones", () => {
+        expect(
+            validateOptions(
+                { testNamePatern: "damage", maxworkers: 2, somethingElse: 1 },
+                { cliOptions: CLI_OPTIONS },
+            ),
+        ).toEqual([
+            'Unknown option "testNamePatern". Did you mean "testNamePattern"?',
+            'Unknown option "maxworkers". Did you mean "maxWorkers"?',
+            'Unknown option "somethingElse".',
+        ]);
+
+        // Without the documented options, the bundled Roblox Jest options are known
+        expect(
+            validateOptions({ testNamePatern: "damage", silent: true }),
+        ).toEqual([
+            'Unknown option "testNamePatern". Did you mean "testNamePattern"?',
+        ]);
+    });
+
+    it("should report values of the wrong type or out of range with their source", () => {
+        expect(
+            validateOptions(
+                {
+                    maxWorkers: "4",
+                    workerRetries: -1,
+                    timeout: "5 minutes",
+                    shard: "4/3",
+                    testTimeout: "fast",
+                    updateSnapshot: "new",
+                },
+                {
+                    cliOptions: CLI_OPTIONS,
+                    sources: {
+                        maxWorkers: {
+                            layer: "config",
+                            from: "jestrbx.config.json",
+                        },
+                    },
+                },
+            ),
+        ).toEqual([
+            'Option "maxWorkers" must be a number, but got string "4" (from config jestrbx.config.json).',
+            'Option "workerRetries" must be zero or a positive integer, but got -1.',
+            'Option "timeout" must be formatted as <number>[s|m|h], but got "5 minutes".',
+            'Option "shard" index must be between 1 and 3, got 4.',
+            'Option "testTimeout" must be a number, but got string "fast".',
+            'Option "updateSnapshot" must be a boolean or "all", but got "new".',
+        ]);
+        expect(validateOptions({ updateSnapshot: "all" })).toEqual([]);
+    });
+
+    it("should parse timeouts in seconds, minutes or hours", () => {
+        expect(parseTimeout("90s")).toBe(90000);
+        expect(parseTimeout("1.5m")).toBe(90000);
+        expect(parseTimeout("2h")).toBe(7200000);
+        expect(parseTimeout(30)).toBe(30000);
+        expect(parseTimeout("500ms")).toBeUndefined();
+    });
+
+    it("should warn about timeouts without a unit", () => {
+        expect(
+            getOptionWarnings(
+                {
+                    timeout: 5000,
+                    projects: [{ timeout: "10" }, { timeout: "10m" }],
+                },
+                {
+                    sources: {
+                        timeout: {
+                            layer: "config",
+                            from: "jestrbx.config.json",
+                        },
+                    },
+                },
+            ),
+        ).toEqual([
+            'Option "timeout" has no unit, so 5000 is read as 5000 seconds (from config jestrbx.config.json). Add s, m or h to the value, e.g. "5000s".',
+            'Option "projects[0].timeout" has no unit, so "10" is read as 10 seconds. Add s, m or h to the value, e.g. "10s".',
+        ]);
+        expect(getOptionWarnings({ timeout: "300s" })).toEqual([]);
+    });
+
+    it("should report options that cannot be used together", () => {
+        expect(
+            validateOptions({
+                showConfig: true,
+                listTests: true,
+                fixture: "output.log",
+                projects: [
+                    {
+                        place: "lobby.rbxl",
+                        onlyFailures: true,
+                        onlyChanged: true,
+                    },
+                    { displayName: 2, place: 3 },
+                ],
+            }),
+        ).toEqual([
+            'Options "showConfig" and "listTests" cannot be used together.',
+            'Option "fixture" only applies to the fixture backend; add --backend fixture.',
+            'Options "onlyFailures" and "onlyChanged" cannot be used together in projects[0].',
+            'Option "projects[1].displayName" must be a string, but got number 2.',
+            'Option "projects[1].place" must be a string, but got number 3.',
+        ]);
+    });
+});
@@ -0,0 +1,165 @@
+import { describe, expect, it } from "@jest/globals";
+import { mergeRetriedSuites, selectFailedTests } from "../src/retry.js";
+
+const testCase = (fullName, status, failureMessages = []) => ({
+    fullName,
+    status,
+    invocations: 1,
+    failureMessages,
+});
+
+/**
+ * Builds a suite result with counts that match its tests.
+ * @param {string} testFilePath The test path of the suite.
+ * @param {object[]} testResults The results of its tests.
+ * @param {object} extra Other fields of the suite result.
+ * @returns {object} The suite result.
+ */
+function suiteResult(testFilePath, testResults, extra = {}) {
+    const count = (status) =>
+        testResults.filter((testResult) => testResult.status === status).length;
+    return {
+        testFilePath,
+        numFailingTests: count("failed"),
+        numPassingTests: count("passed"),
+        numPendingTests: count("pending"),
+        numTodoTests: 0,
+        failureMessage: count("failed") > 0 ? "failed" : null,
+        testResults,
+        ...extra,
+    };
+}
+
+describe("retry.js", () => {
+    it("should select the failed tests and the suites they belong to", () => {
+        const testResults = [
+            suiteResult("src/math.spec", [
+                testCase("math adds", "passed"),
+                testCase("math divides", "failed"),
+            ]),
+            suiteResult("src/healthy.spec", [
+                testCase("healthy works", "passed"),
+            ]),
+        ];
+
+        expect(selectFailedTests(testResults)).toEqual({
+            suites: ["src/math.spec"],
+            testNames: ["math divides"],
+        });
+
+        // A suite that failed to run has no test names to select
+        testResults.push(
+            suiteResult("src/broken.spec", [], {
+                testExecError: { message: "boom" },
+            }),
+        );
+        expect(selectFailedTests(testResults)).toEqual({
+            suites: ["src/math.spec", "src/broken.spec"],
+            testNames: undefined,
+        });
+    });
+
+    it("should count tests that pass on retry as flaky once", () => {
+        const results = {
+            numFailedTests: 2,
+            numPassedTests: 0,
+            numFailedTestSuites: 1,
+            numPassedTestSuites: 0,
+            numRuntimeErrorTestSuites: 0,
+            success: false,
+            testResults: [
+                suiteResult("src/round.spec", [
+                    testCase("round starts", "failed", ["timed out"]),
+                    testCase("round ends", "failed", ["timed out"]),
+                ]),
+            ],
+        };
+
+        const first = mergeRetriedSuites(results, [
+            suiteResult("src/round.spec", [
+                testCase("round starts", "passed"),
+                testCase("round ends", "failed", ["timed out again"]),
+            ]),
+        ]);
+        expect(first.flaky).toEqual([
+            {
+                testFilePath: "src/round.spec",
+                fullName: "round starts",
+                invocations: 2,
+            },
+        ]);
+        expect(results.success).toBe(false);
+
+        const second = mergeRetriedSuites(results, [
+            suiteResult("src/round.spec", [
+                testCase("round starts", "pending"),
+                testCase("round ends", "passed"),
+            ]),
+        ]);
+        expect(second.flaky).toEqual([
+            {
+                testFilePath: "src/round.spec",
+                fullName: "round ends",
+                invocations: 3,
+            },
+        ]);
+        expect(results.testResults[0].testResults[1].retryReasons).toEqual([
+            "timed out",
+            "timed out again",
+        ]);
+        expect(results.testResults[0].failureMessage).toBeNull();
+        expect(results).toMatchObject({
+            numFailedTests: 0,
+            numPassedTests: 2,
+            numFailedTestSuites: 0,
+            numPassedTestSuites: 1,
+            success: true,
+        });
+    });
+
+    it("should replace a suite that failed to run when its retry runs", () => {
+        const results = {
+            numFailedTests: 0,
+            numPassedTests: 0,
+            numPendingTests: 0,
+            numTodoTests: 0,
+            numTotalTests: 0,
+            numFailedTestSuites: 1,
+            numPassedTestSuites: 0,
+            numRuntimeErrorTestSuites: 1,
+            success: false,
+            testResults: [
+                suiteResult("src/broken.spec", [], {
+                    testExecError: { message: "boom" },
+                    failureMessage: "Test suite failed to run: boom",
+                }),
+            ],
+        };
+
+        const { flaky } = mergeRetriedSuites(results, [
+            suiteResult("src/broken.spec", [
+                testCase("broken works", "passed"),
+            ]),
+        ]);
+
+        expect(flaky).toEqual([
+            {
+                testFilePath: "src/broken.spec",
+                fullName: "broken works",
+                invocations: 2,
+            },
+        ]);
+        expect(results.testResults[0].testExecError).toBeUndefined();
+        expect(results.testResults[0].testResults[0].retryReasons).toEqual([
+            "Test suite failed to run: boom",
+        ]);
+        expect(results).toMatchObject({
+            numPassedTests: 1,
+            numTotalTests: 1,
+            numFailedTestSuites: 0,
+            numPassedTestSuites: 1,
+            numRuntimeErrorTestSuites: 0,
+            success: true,
+        });
+    });
+});
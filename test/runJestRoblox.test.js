@@ -1,56 +1,73 @@
 import { describe, expect, it, jest } from "@jest/globals";
+import { execFileSync } from "child_process";
 import dotenv from "dotenv";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import util from "util";
+import { zstdCompressSync } from "zlib";
+import { createFixtureBackend } from "../src/backends.js";
+import runJestRoblox, { runTests } from "../src/runJestRoblox.js";
+import {
+    adler32,
+    EVENT_END_MARKER,
+    EVENT_START_MARKER
+} from "../src/stream.js";
+import { createTempDir } from "./helpers.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-jest.unstable_mockModule("rbxluau", () => ({
-    executeLuau: async (luauScript, luauOptions) => {
-        // Check if the place is the demo place
-        if (luauOptions.place.includes("demo_place.rbxl")) {
-            let jestOptions = {};
-            // Manually search through the Luau script to reverse engineer the options
-            const match = luauScript.match(
-                /local jestOptions = HttpService:JSONDecode\((.*?)\)/s
-            );
-            if (match) {
-                jestOptions = JSON.parse(
-                    match[1].substring(5, match[1].length - 5)
-                );
-            }
-
-            let fileToUse = "demo_default_output.txt";
+const fixtureBackend = createFixtureBackend(({ jestOptions }) => {
+    let fileToUse = "demo_default_output.txt";
 
-            if (jestOptions.debug) {
-                fileToUse = "demo_default_debug.txt";
-            }
+    if (jestOptions.debug) {
+        fileToUse = "demo_default_debug.txt";
+    }
 
-            if (jestOptions.passWithNoTests) {
-                fileToUse = "demo_default_passWithNoTests.txt";
-            }
+    if (jestOptions.passWithNoTests) {
+        fileToUse = "demo_default_passWithNoTests.txt";
+    }
 
-            // Write to out
-            fs.writeFileSync(
-                luauOptions.out,
-                fs.readFileSync(
-                    path.join(__dirname, "dummy", fileToUse),
-                    "utf-8"
-                )
-            );
-        }
-
-        return 0;
-    },
-}));
-
-const runJestRoblox = (await import("../src/runJestRoblox.js")).default;
+    return path.join(__dirname, "dummy", fileToUse);
+});
 
 dotenv.config({ quiet: true });
 
+/**
+ * Creates a compiled Rojo project in a temporary directory with empty test files.
+ * The output directory is mounted at `ReplicatedStorage.src` and holds the Jest config,
+ * so the runtime reports the tests as `src/<suite>.spec`.
+ * @param {string[]} suites The test files to create, relative to the output directory and without extension.
+ * @returns {{ tempDir: string, project: string, tsconfig: string }} The project paths.
+ */
+function createCompiledProject(suites) {
+    const tempDir = createTempDir({
+        "out/jest.config.luau": "",
+        ...Object.fromEntries(
+            suites.map((suite) => [`out/${suite}.spec.luau`, ""])
+        ),
+        "default.project.json": JSON.stringify({
+            name: "test-project",
+            tree: {
+                $className: "DataModel",
+                ReplicatedStorage: { src: { $path: "out" } }
+            }
+        })
+    });
+    const outDir = path.join(tempDir, "out");
+    const tsconfig = path.join(tempDir, "tsconfig.json");
+    fs.writeFileSync(
+        tsconfig,
+        JSON.stringify({ compilerOptions: { rootDir: outDir, outDir } })
+    );
+    return {
+        tempDir,
+        project: path.join(tempDir, "default.project.json"),
+        tsconfig
+    };
+}
+
 describe("runJestRoblox.js", () => {
     it("should exit gracefully if --place file is missing", async () => {
         const consoleErrorSpy = jest
@@ -79,6 +96,32 @@ describe("runJestRoblox.js", () => {
         consoleErrorSpy.mockRestore();
     });
 
+    it("should reject invalid options before running anything", async () => {
+        const consoleErrorSpy = jest
+            .spyOn(console, "error")
+            .mockImplementation(() => {});
+        const run = jest.fn();
+
+        const exitCode = await runJestRoblox({
+            place: path.join(__dirname, "dummy", "demo_place.rbxl"),
+            backend: { name: "spy", run },
+            maxWorkers: "4",
+            onlyFailures: true,
+            findRelatedTests: ["src/round.ts"]
+        });
+
+        expect(exitCode).toBe(1);
+        expect(run).not.toHaveBeenCalled();
+        expect(consoleErrorSpy).toHaveBeenCalledWith(
+            [
+                "Invalid options:",
+                '  Option "maxWorkers" must be a number, but got string "4".',
+                '  Options "onlyFailures" and "findRelatedTests" cannot be used together.'
+            ].join("\n")
+        );
+        consoleErrorSpy.mockRestore();
+    });
+
     it("should handle --json option", async () => {
         const buffer = [];
         const consoleLogSpy = jest
@@ -95,6 +138,7 @@ describe("runJestRoblox.js", () => {
             place: path.join(__dirname, "dummy", "demo_place.rbxl"),
             project: path.join(__dirname, "..", "demo", "default.project.json"),
             tsconfig: path.join(__dirname, "..", "demo", "tsconfig.json"),
+            backend: fixtureBackend,
             json: true,
         });
 
@@ -125,6 +169,7 @@ describe("runJestRoblox.js", () => {
             place: path.join(__dirname, "dummy", "demo_place.rbxl"),
             project: path.join(__dirname, "..", "demo", "default.project.json"),
             tsconfig: path.join(__dirname, "..", "demo", "tsconfig.json"),
+            backend: fixtureBackend,
             debug: true,
         });
 
@@ -156,6 +201,7 @@ describe("runJestRoblox.js", () => {
             place: path.join(__dirname, "dummy", "demo_place.rbxl"),
             project: path.join(__dirname, "..", "demo", "default.project.json"),
             tsconfig: path.join(__dirname, "..", "demo", "tsconfig.json"),
+            backend: fixtureBackend,
             passWithNoTests: true,
             testPathPattern: "nonexistent_pattern_xyz",
             json: true,
@@ -171,6 +217,48 @@ describe("runJestRoblox.js", () => {
         stdErrSpy.mockRestore();
     });
 
+    it("should only pass Roblox Jest options to the runtime", async () => {
+        const stdOutSpy = jest
+            .spyOn(process.stdout, "write")
+            .mockImplementation(() => {});
+        const stdErrSpy = jest
+            .spyOn(process.stderr, "write")
+            .mockImplementation(() => {});
+
+        const forwarded = [];
+        await runJestRoblox({
+            place: path.join(__dirname, "dummy", "demo_place.rbxl"),
+            project: path.join(__dirname, "..", "demo", "default.project.json"),
+            tsconfig: path.join(__dirname, "..", "demo", "tsconfig.json"),
+            backend: createFixtureBackend(({ jestOptions }) => {
+                forwarded.push(jestOptions);
+                return path.join(__dirname, "dummy", "demo_default_output.txt");
+            }),
+            workerRetries: 2,
+            build: "true",
+            timeout: "5m",
+            coverageDirectory: "coverage",
+            silent: true,
+            ci: true,
+        });
+
+        stdOutSpy.mockRestore();
+        stdErrSpy.mockRestore();
+
+        expect(forwarded).toHaveLength(1);
+        expect(forwarded[0]).toMatchObject({ silent: true, ci: true });
+        for (const key of [
+            "place",
+            "backend",
+            "workerRetries",
+            "build",
+            "timeout",
+            "coverageDirectory",
+        ]) {
+            expect(forwarded[0]).not.toHaveProperty(key);
+        }
+    });
+
     it("should respect JEST_TEST_NAME_PATTERN env var", async () => {
         const originalEnv = process.env.JEST_TEST_NAME_PATTERN;
         process.env.JEST_TEST_NAME_PATTERN = "specific test name";
@@ -187,6 +275,7 @@ describe("runJestRoblox.js", () => {
             place: path.join(__dirname, "dummy", "demo_place.rbxl"),
             project: path.join(__dirname, "..", "demo", "default.project.json"),
             tsconfig: path.join(__dirname, "..", "demo", "tsconfig.json"),
+            backend: fixtureBackend,
         });
 
         // Restore env var
@@ -215,6 +304,7 @@ describe("runJestRoblox.js", () => {
             place: path.join(__dirname, "dummy", "demo_place.rbxl"),
             project: path.join(__dirname, "..", "demo", "default.project.json"),
             tsconfig: path.join(__dirname, "..", "demo", "tsconfig.json"),
+            backend: fixtureBackend,
             reporters: ["nonexistent-reporter"],
         });
 
@@ -240,6 +330,7 @@ describe("runJestRoblox.js", () => {
             place: path.join(__dirname, "dummy", "demo_place.rbxl"),
             project: path.join(__dirname, "..", "demo", "default.project.json"),
             tsconfig: path.join(__dirname, "..", "demo", "tsconfig.json"),
+            backend: fixtureBackend,
             reporters: ["default", "summary"],
         });
 
@@ -249,6 +340,1416 @@ describe("runJestRoblox.js", () => {
         stdErrSpy.mockRestore();
     });
 
+    it("should serve a recorded log with the fixture backend by name", async () => {
+        const stdOutSpy = jest
+            .spyOn(process.stdout, "write")
+            .mockImplementation(() => {});
+        const stdErrSpy = jest
+            .spyOn(process.stderr, "write")
+            .mockImplementation(() => {});
+
+        const result = await runTests({
+            place: path.join(__dirname, "dummy", "demo_place.rbxl"),
+            project: path.join(__dirname, "..", "demo", "default.project.json"),
+            tsconfig: path.join(__dirname, "..", "demo", "tsconfig.json"),
+            backend: "fixture",
+            fixture: path.join(__dirname, "dummy", "demo_default_output.txt"),
+        });
+
+        expect(result.exitCode).toBe(1);
+        expect(result.results.numTotalTestSuites).toBe(7);
+
+        stdOutSpy.mockRestore();
+        stdErrSpy.mockRestore();
+    });
+
+    it("should exit gracefully if the backend cannot be loaded", async () => {
+        const consoleErrorSpy = jest
+            .spyOn(console, "error")
+            .mockImplementation(() => {});
+
+        const exitCode = await runJestRoblox({
+            place: path.join(__dirname, "dummy", "demo_place.rbxl"),
+            backend: "fixture",
+        });
+
+        expect(exitCode).toBe(1);
+        expect(consoleErrorSpy).toHaveBeenCalledWith(
+            expect.stringContaining("Failed to load backend")
+        );
+        consoleErrorSpy.mockRestore();
+    });
+
+    it("should resolve to the rewritten results with runTests", async () => {
+        const stdOutSpy = jest
+            .spyOn(process.stdout, "write")
+            .mockImplementation(() => {});
+        const stdErrSpy = jest
+            .spyOn(process.stderr, "write")
+            .mockImplementation(() => {});
+
+        const result = await runTests({
+            place: path.join(__dirname, "dummy", "demo_place.rbxl"),
+            project: path.join(__dirname, "..", "demo", "default.project.json"),
+            tsconfig: path.join(__dirname, "..", "demo", "tsconfig.json"),
+            backend: fixtureBackend,
+        });
+
+        expect(result.exitCode).toBe(1);
+        expect(result.results.numTotalTests).toBe(18);
+        expect(result.results.numFailedTests).toBe(7);
+        expect(
+            path.isAbsolute(result.results.testResults[0].testFilePath)
+        ).toBe(true);
+        expect(result.globalConfig.rootDir).toBeDefined();
+
+        stdOutSpy.mockRestore();
+        stdErrSpy.mockRestore();
+    });
+
+    it("should reassemble results that were sent in chunks", async () => {
+        const stdOutSpy = jest
+            .spyOn(process.stdout, "write")
+            .mockImplementation(() => {});
+        const stdErrSpy = jest
+            .spyOn(process.stderr, "write")
+            .mockImplementation(() => {});
+
+        // Re-encode the recorded results the way the Luau script sends large payloads
+        const recorded = fs.readFileSync(
+            path.join(__dirname, "dummy", "demo_default_output.txt"),
+            "utf-8"
+        );
+        const [output, payload] = recorded.split("__JEST_RESULT_START__");
+        const compressed = zstdCompressSync(Buffer.from(payload, "utf-8"));
+        const chunkSize = 1024;
+        const count = Math.ceil(compressed.length / chunkSize);
+        let log = output;
+        for (let index = 1; index <= count; index++) {
+            const chunk = compressed.subarray(
+                (index - 1) * chunkSize,
+                index * chunkSize
+            );
+            const event = {
+                type: "payloadChunk",
+                index,
+                count,
+                checksum: adler32(chunk),
+                data: chunk.toString("base64")
+            };
+            log += `${EVENT_START_MARKER}${JSON.stringify(event)}${EVENT_END_MARKER}\n`;
+        }
+        log += `__JEST_RESULT_START__\n${JSON.stringify({
+            chunked: true,
+            count,
+            size: compressed.length,
+            checksum: adler32(compressed)
+        })}`;
+
+        const result = await runTests({
+            place: path.join(__dirname, "dummy", "demo_place.rbxl"),
+            project: path.join(__dirname, "..", "demo", "default.project.json"),
+            tsconfig: path.join(__dirname, "..", "demo", "tsconfig.json"),
+            backend: {
+                name: "chunked",
+                async run(script, context) {
+                    fs.writeFileSync(context.out, log);
+                    return 0;
+                }
+            }
+        });
+
+        expect(count).toBeGreaterThan(1);
+        expect(result.exitCode).toBe(1);
+        expect(result.results.numTotalTests).toBe(18);
+
+        stdOutSpy.mockRestore();
+        stdErrSpy.mockRestore();
+    });
+
+    it("should merge coverage from parallel workers", async () => {
+        const stdOutSpy = jest
+            .spyOn(process.stdout, "write")
+            .mockImplementation(() => {});
+        const stdErrSpy = jest
+            .spyOn(process.stderr, "write")
+            .mockImplementation(() => {});
+
+        const { tempDir, project, tsconfig } = createCompiledProject([
+            "shared/a",
+            "shared/b"
+        ]);
+
+        // Each worker reports one hit on the same statement
+        const recorded = fs.readFileSync(
+            path.join(__dirname, "dummy", "demo_default_output.txt"),
+            "utf-8"
+        );
+        const [output, payload] = recorded.split("__JEST_RESULT_START__");
+        const workerPayload = JSON.parse(payload);
+        workerPayload.coverage = {
+            "ReplicatedStorage/shared/module": {
+                path: "ReplicatedStorage/shared/module",
+                statementMap: {
+                    0: {
+                        start: { line: 1, column: 0 },
+                        end: { line: 1, column: 10 }
+                    }
+                },
+                fnMap: {},
+                branchMap: {},
+                s: { 0: 1 },
+                f: {},
+                b: {}
+            }
+        };
+        const backend = {
+            name: "coverage",
+            async run(script, context) {
+                fs.writeFileSync(
+                    context.out,
+                    `${output}__JEST_RESULT_START__\n${JSON.stringify(workerPayload)}`
+                );
+                return 0;
+            }
+        };
+
+        const result = await runTests({
+            place: path.join(__dirname, "dummy", "demo_place.rbxl"),
+            project,
+            tsconfig,
+            maxWorkers: 2,
+            coverageDirectory: path.join(tempDir, "coverage"),
+            backend
+        });
+
+        const files = Object.values(result.coverage);
+        expect(files).toHaveLength(1);
+        expect(files[0].s[0]).toBe(2);
+        expect(result.results.numTotalTests).toBe(36);
+        expect(
+            fs.existsSync(path.join(tempDir, "coverage", "coverage-final.json"))
+        ).toBe(true);
+
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        stdOutSpy.mockRestore();
+        stdErrSpy.mockRestore();
+    });
+
+    it("should run every entry of projects into one report", async () => {
+        const stdOutSpy = jest
+            .spyOn(process.stdout, "write")
+            .mockImplementation(() => {});
+        const stdErrSpy = jest
+            .spyOn(process.stderr, "write")
+            .mockImplementation(() => {});
+        const consoleLogSpy = jest
+            .spyOn(console, "log")
+            .mockImplementation(() => {});
+
+        // Each project reports one suite and the coverage of that suite's script
+        const createProject = (suite, status) => {
+            const compiled = createCompiledProject([`shared/${suite}`]);
+            const instancePath = `ReplicatedStorage/src/shared/${suite}.spec`;
+            const payload = {
+                resolveSuccess: true,
+                results: {
+                    numFailedTestSuites: status === "failed" ? 1 : 0,
+                    numPassedTestSuites: status === "failed" ? 0 : 1,
+                    numTotalTestSuites: 1,
+                    success: status !== "failed",
+                    testResults: [
+                        {
+                            testFilePath: `src/shared/${suite}.spec`,
+                            numFailingTests: status === "failed" ? 1 : 0,
+                            numPassingTests: status === "failed" ? 0 : 1,
+                            numPendingTests: 0,
+                            numTodoTests: 0,
+                            perfStats: { runtime: 1, start: 0, end: 1 },
+                            snapshot: {
+                                added: 0,
+                                matched: 0,
+                                unmatched: 0,
+                                updated: 0
+                            },
+                            testResults: [
+                                {
+                                    title: "works",
+                                    fullName: `${suite} works`,
+                                    ancestorTitles: [suite],
+                                    status,
+                                    failureMessages: []
+                                }
+                            ]
+                        }
+                    ]
+                },
+                coverage: {
+                    [instancePath]: {
+                        path: instancePath,
+                        statementMap: {
+                            0: {
+                                start: { line: 1, column: 0 },
+                                end: { line: 1, column: 10 }
+                            }
+                        },
+                        fnMap: {},
+                        branchMap: {},
+                        s: { 0: 1 },
+                        f: {},
+                        b: {}
+                    }
+                }
+            };
+            return {
+                ...compiled,
+                entry: {
+                    displayName: suite,
+                    project: compiled.project,
+                    tsconfig: compiled.tsconfig,
+                    backend: {
+                        name: suite,
+                        async run(script, context) {
+                            fs.writeFileSync(
+                                context.out,
+                                `__JEST_RESULT_START__\n${JSON.stringify(payload)}`
+                            );
+                            return 0;
+                        }
+                    }
+                }
+            };
+        };
+        const lobby = createProject("lobby", "passed");
+        const match = createProject("match", "failed");
+        const jsonPath = path.join(lobby.tempDir, "results.json");
+
+        const result = await runTests({
+            place: path.join(__dirname, "dummy", "demo_place.rbxl"),
+            coverageDirectory: path.join(lobby.tempDir, "coverage"),
+            json: true,
+            outputFile: jsonPath,
+            projects: [lobby.entry, match.entry]
+        });
+
+        expect(result.exitCode).toBe(1);
+        expect(result.results.numTotalTestSuites).toBe(2);
+        expect(result.results.numPassedTestSuites).toBe(1);
+        expect(result.results.numFailedTestSuites).toBe(1);
+        expect(
+            result.results.testResults.map((suite) => suite.testFilePath)
+        ).toEqual([
+            path.join(lobby.tempDir, "out", "shared", "lobby.spec.luau"),
+            path.join(match.tempDir, "out", "shared", "match.spec.luau")
+        ]);
+        expect(Object.keys(result.coverage)).toEqual([
+            path.join(lobby.tempDir, "out", "shared", "lobby.spec.luau"),
+            path.join(match.tempDir, "out", "shared", "match.spec.luau")
+        ]);
+        expect(
+            fs.existsSync(
+                path.join(lobby.tempDir, "coverage", "coverage-final.json")
+            )
+        ).toBe(true);
+        expect(
+            JSON.parse(fs.readFileSync(jsonPath, "utf-8")).testResults
+        ).toHaveLength(2);
+
+        fs.rmSync(lobby.tempDir, { recursive: true, force: true });
+        fs.rmSync(match.tempDir, { recursive: true, force: true });
+        stdOutSpy.mockRestore();
+        stdErrSpy.mockRestore();
+        consoleLogSpy.mockRestore();
+    });
+
+    it("should keep the failures of projects that share a directory apart", async () => {
+        const stdOutSpy = jest
+            .spyOn(process.stdout, "write")
+            .mockImplementation(() => {});
+        const stdErrSpy = jest
+            .spyOn(process.stderr, "write")
+            .mockImplementation(() => {});
+        const consoleLogSpy = jest
+            .spyOn(console, "log")
+            .mockImplementation(() => {});
+
+        // Both places are built from the same directory, with a project file each
+        const { tempDir, project, tsconfig } = createCompiledProject([
+            "shared/lobby",
+            "shared/match"
+        ]);
+        const runs = { lobby: [], match: [] };
+        const createEntry = (name, status) => {
+            const projectFile = path.join(tempDir, `${name}.project.json`);
+            fs.copyFileSync(project, projectFile);
+            const payload = {
+                resolveSuccess: true,
+                results: {
+                    numFailedTestSuites: status === "failed" ? 1 : 0,
+                    numPassedTestSuites: status === "failed" ? 0 : 1,
+                    numTotalTestSuites: 1,
+                    success: status !== "failed",
+                    testResults: [
+                        {
+                            testFilePath: `src/shared/${name}.spec`,
+                            numFailingTests: status === "failed" ? 1 : 0,
+                            numPassingTests: status === "failed" ? 0 : 1,
+                            numPendingTests: 0,
+                            numTodoTests: 0,
+                            perfStats: { runtime: 1, start: 0, end: 1 },
+                            snapshot: {
+                                added: 0,
+                                matched: 0,
+                                unmatched: 0,
+                                updated: 0
+                            },
+                            testResults: [
+                                {
+                                    title: "works",
+                                    fullName: `${name} works`,
+                                    ancestorTitles: [name],
+                                    status,
+                                    failureMessages: []
+                                }
+                            ]
+                        }
+                    ]
+                }
+            };
+            return {
+                displayName: name,
+                project: projectFile,
+                tsconfig,
+                backend: {
+                    name,
+                    async run(script, context) {
+                        runs[name].push(context.jestOptions);
+                        fs.writeFileSync(
+                            context.out,
+                            `__JEST_RESULT_START__\n${JSON.stringify(payload)}`
+                        );
+                        return 0;
+                    }
+                }
+            };
+        };
+        const projects = [
+            createEntry("lobby", "failed"),
+            createEntry("match", "passed")
+        ];
+        const place = path.join(__dirname, "dummy", "demo_place.rbxl");
+
+        await runTests({ place, projects });
+        const result = await runTests({ place, projects, onlyFailures: true });
+
+        // Only the lobby failed, so the match project has nothing to rerun
+        expect(runs.lobby).toHaveLength(2);
+        expect(
+            new RegExp(runs.lobby[1].testPathPattern).test(
+                "src/shared/lobby.spec"
+            )
+        ).toBe(true);
+        expect(runs.match).toHaveLength(1);
+        expect(result.exitCode).toBe(1);
+        expect(consoleLogSpy).toHaveBeenCalledWith(
+            "No failed tests found in the last run."
+        );
+
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        stdOutSpy.mockRestore();
+        stdErrSpy.mockRestore();
+        consoleLogSpy.mockRestore();
+    });
+
+    it("should only pass the shard's suites to the runtime", async () => {
+        const stdOutSpy = jest
+            .spyOn(process.stdout, "write")
+            .mockImplementation(() => {});
+        const stdErrSpy = jest
+            .spyOn(process.stderr, "write")
+            .mockImplementation(() => {});
+        const consoleLogSpy = jest
+            .spyOn(console, "log")
+            .mockImplementation(() => {});
+
+        const { tempDir, project, tsconfig } = createCompiledProject(
+            ["a", "b", "c", "d"].map((name) => `shared/${name}`)
+        );
+
+        const patterns = [];
+        const backend = createFixtureBackend(({ jestOptions }) => {
+            patterns.push(jestOptions.testPathPattern);
+            return path.join(__dirname, "dummy", "demo_default_output.txt");
+        });
+        const runShard = (shard) =>
+            runTests({
+                place: path.join(__dirname, "dummy", "demo_place.rbxl"),
+                project,
+                tsconfig,
+                json: true,
+                outputFile: path.join(tempDir, "results.json"),
+                shard,
+                backend
+            });
+
+        await runShard("1/2");
+        const json = JSON.parse(
+            fs.readFileSync(path.join(tempDir, "results.json"), "utf-8")
+        );
+        await runShard("2/2");
+
+        expect(json.shard).toEqual({ shardIndex: 1, shardCount: 2 });
+        const suitesRun = patterns.map((pattern) =>
+            ["a", "b", "c", "d"].filter((name) =>
+                new RegExp(pattern).test(`src/shared/${name}.spec`)
+            )
+        );
+        expect(suitesRun[0]).toHaveLength(2);
+        expect([...suitesRun[0], ...suitesRun[1]].sort()).toEqual([
+            "a",
+            "b",
+            "c",
+            "d"
+        ]);
+
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        stdOutSpy.mockRestore();
+        stdErrSpy.mockRestore();
+        consoleLogSpy.mockRestore();
+    });
+
+    it("should split suites matching testPathPattern across workers", async () => {
+        const stdOutSpy = jest
+            .spyOn(process.stdout, "write")
+            .mockImplementation(() => {});
+        const stdErrSpy = jest
+            .spyOn(process.stderr, "write")
+            .mockImplementation(() => {});
+
+        const { tempDir, project, tsconfig } = createCompiledProject([
+            "combat/melee",
+            "combat/ranged",
+            "ui/menu"
+        ]);
+
+        const patterns = [];
+        await runTests({
+            place: path.join(__dirname, "dummy", "demo_place.rbxl"),
+            project,
+            tsconfig,
+            testPathPattern: "combat",
+            maxWorkers: 4,
+            backend: createFixtureBackend(({ jestOptions }) => {
+                patterns.push(jestOptions.testPathPattern);
+                return path.join(__dirname, "dummy", "demo_default_output.txt");
+            })
+        });
+
+        expect(patterns).toHaveLength(2);
+        const suitesRun = patterns.map((pattern) =>
+            ["combat/melee", "combat/ranged", "ui/menu"].filter((name) =>
+                new RegExp(pattern).test(`src/${name}.spec`)
+            )
+        );
+        expect(suitesRun.flat().sort()).toEqual([
+            "combat/melee",
+            "combat/ranged"
+        ]);
+
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        stdOutSpy.mockRestore();
+        stdErrSpy.mockRestore();
+    });
+
+    it("should keep a debug output log for each worker", async () => {
+        const stdOutSpy = jest
+            .spyOn(process.stdout, "write")
+            .mockImplementation(() => {});
+        const stdErrSpy = jest
+            .spyOn(process.stderr, "write")
+            .mockImplementation(() => {});
+        const consoleLogSpy = jest
+            .spyOn(console, "log")
+            .mockImplementation(() => {});
+
+        const { tempDir, project, tsconfig } = createCompiledProject([
+            "combat/melee",
+            "combat/ranged"
+        ]);
+
+        const logs = [];
+        await runTests({
+            place: path.join(__dirname, "dummy", "demo_place.rbxl"),
+            project,
+            tsconfig,
+            maxWorkers: 2,
+            debug: true,
+            backend: createFixtureBackend(({ out }) => {
+                logs.push(path.basename(out));
+                return path.join(__dirname, "dummy", "demo_default_output.txt");
+            })
+        });
+
+        expect(logs.sort()).toEqual([
+            "luau_output_debug_worker1.log",
+            "luau_output_debug_worker2.log"
+        ]);
+
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        stdOutSpy.mockRestore();
+        stdErrSpy.mockRestore();
+        consoleLogSpy.mockRestore();
+    });
+
+    it("should retry failed workers and isolate the ones that keep failing", async () => {
+        const stdOutSpy = jest
+            .spyOn(process.stdout, "write")
+            .mockImplementation(() => {});
+        const stdErrSpy = jest
+            .spyOn(process.stderr, "write")
+            .mockImplementation(() => {});
+        const consoleWarnSpy = jest
+            .spyOn(console, "warn")
+            .mockImplementation(() => {});
+
+        const { tempDir, project, tsconfig } = createCompiledProject([
+            "shared/broken",
+            "shared/flaky",
+            "shared/healthy"
+        ]);
+
+        const attempts = { broken: 0, flaky: 0, healthy: 0 };
+        const recorded = path.join(
+            __dirname,
+            "dummy",
+            "demo_default_output.txt"
+        );
+        const backend = {
+            name: "unreliable",
+            async run(script, context) {
+                const name = Object.keys(attempts).find((suite) =>
+                    context.jestOptions.testPathPattern.includes(suite)
+                );
+                attempts[name]++;
+                if (
+                    name === "broken" ||
+                    (name === "flaky" && attempts[name] === 1)
+                ) {
+                    fs.writeFileSync(context.out, `${name} worker crashed\n`);
+                    return 1;
+                }
+                fs.copyFileSync(recorded, context.out);
+                return 0;
+            }
+        };
+
+        const result = await runTests({
+            place: path.join(__dirname, "dummy", "demo_place.rbxl"),
+            project,
+            tsconfig,
+            maxWorkers: 3,
+            json: true,
+            outputFile: path.join(tempDir, "results.json"),
+            backend
+        });
+
+        expect(attempts).toEqual({ broken: 2, flaky: 2, healthy: 1 });
+        expect(result.exitCode).toBe(1);
+        expect(result.results.numTotalTests).toBe(36);
+        expect(result.results.numRuntimeErrorTestSuites).toBe(1);
+        const failedSuite = result.results.testResults.find(
+            (suite) => suite.testExecError
+        );
+        expect(failedSuite.testFilePath).toContain("broken");
+        expect(failedSuite.failureMessage).toContain("broken worker crashed");
+        const json = JSON.parse(
+            fs.readFileSync(path.join(tempDir, "results.json"), "utf-8")
+        );
+        expect(
+            json.testResults
+                .filter((suite) => suite.name.includes("broken"))
+                .map((suite) => suite.status)
+        ).toEqual(["failed"]);
+
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        stdOutSpy.mockRestore();
+        stdErrSpy.mockRestore();
+        consoleWarnSpy.mockRestore();
+    });
+
+    it("should cancel the other workers once --bail is reached", async () => {
+        const stdOutSpy = jest
+            .spyOn(process.stdout, "write")
+            .mockImplementation(() => {});
+        const stdErrSpy = jest
+            .spyOn(process.stderr, "write")
+            .mockImplementation(() => {});
+        const consoleLogSpy = jest
+            .spyOn(console, "log")
+            .mockImplementation(() => {});
+        const consoleWarnSpy = jest
+            .spyOn(console, "warn")
+            .mockImplementation(() => {});
+
+        const { tempDir, project, tsconfig } = createCompiledProject([
+            "shared/failing",
+            "shared/slow"
+        ]);
+        const suiteResult = (name, failed) => ({
+            testFilePath: `src/shared/${name}.spec`,
+            numFailingTests: failed ? 1 : 0,
+            numPassingTests: failed ? 0 : 1,
+            numPendingTests: 0,
+            numTodoTests: 0,
+            failureMessage: failed ? "expected failure" : null,
+            perfStats: { runtime: 1, start: 0, end: 1 },
+            snapshot: { added: 0, matched: 0, unmatched: 0, updated: 0 },
+            testResults: [
+                {
+                    title: name,
+                    fullName: name,
+                    ancestorTitles: [],
+                    status: failed ? "failed" : "passed",
+                    failureMessages: failed ? ["expected failure"] : []
+                }
+            ]
+        });
+        const writeLog = (name, failed, fillerLines) => {
+            const result = suiteResult(name, failed);
+            const event = {
+                type: "suiteResult",
+                path: result.testFilePath,
+                result
+            };
+            const logPath = path.join(tempDir, `${name}.log`);
+            fs.writeFileSync(
+                logPath,
+                "filler\n".repeat(fillerLines) +
+                    `${EVENT_START_MARKER}${JSON.stringify(event)}${EVENT_END_MARKER}\n` +
+                    "__JEST_RESULT_START__\n" +
+                    JSON.stringify({
+                        resolveSuccess: true,
+                        results: {
+                            numFailedTestSuites: failed ? 1 : 0,
+                            numPassedTestSuites: failed ? 0 : 1,
+                            numTotalTestSuites: 1,
+                            numFailedTests: failed ? 1 : 0,
+                            numPassedTests: failed ? 0 : 1,
+                            numTotalTests: 1,
+                            success: !failed,
+                            testResults: [result]
+                        }
+                    })
+            );
+            return logPath;
+        };
+        const logs = {
+            failing: writeLog("failing", true, 0),
+            slow: writeLog("slow", false, 200)
+        };
+
+        const runs = [];
+        const backend = createFixtureBackend(
+            ({ jestOptions }) => {
+                const name = jestOptions.testPathPattern.includes("slow")
+                    ? "slow"
+                    : "failing";
+                runs.push(name);
+                return logs[name];
+            },
+            { lineDelayMs: 10 }
+        );
+
+        const result = await runTests({
+            place: path.join(__dirname, "dummy", "demo_place.rbxl"),
+            project,
+            tsconfig,
+            maxWorkers: 2,
+            bail: 1,
+            backend
+        });
+
+        expect(runs.sort()).toEqual(["failing", "slow"]);
+        expect(result.exitCode).toBe(1);
+        expect(result.results.numTotalTestSuites).toBe(2);
+        expect(result.results.numFailedTestSuites).toBe(1);
+        expect(result.results.testResults).toHaveLength(1);
+        expect(consoleLogSpy).toHaveBeenCalledWith(
+            expect.stringContaining("1 test suite(s) were not run")
+        );
+
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        stdOutSpy.mockRestore();
+        stdErrSpy.mockRestore();
+        consoleLogSpy.mockRestore();
+        consoleWarnSpy.mockRestore();
+    });
+
+    it("should report the suites that completed before a timeout", async () => {
+        const stdOutSpy = jest
+            .spyOn(process.stdout, "write")
+            .mockImplementation(() => {});
+        const stdErrSpy = jest
+            .spyOn(process.stderr, "write")
+            .mockImplementation(() => {});
+        const consoleWarnSpy = jest
+            .spyOn(console, "warn")
+            .mockImplementation(() => {});
+
+        const { tempDir, project, tsconfig } = createCompiledProject([
+            "shared/done",
+            "shared/hanging",
+            "shared/queued"
+        ]);
+        const result = {
+            testFilePath: "src/shared/done.spec",
+            numFailingTests: 0,
+            numPassingTests: 1,
+            numPendingTests: 0,
+            numTodoTests: 0,
+            perfStats: { runtime: 1, start: 0, end: 1 },
+            snapshot: { added: 0, matched: 0, unmatched: 0, updated: 0 },
+            testResults: [
+                {
+                    title: "done",
+                    fullName: "done",
+                    ancestorTitles: [],
+                    status: "passed",
+                    failureMessages: []
+                }
+            ]
+        };
+        const coverage = {
+            "ReplicatedStorage/src/shared/module": {
+                path: "ReplicatedStorage/src/shared/module",
+                statementMap: {
+                    0: {
+                        start: { line: 1, column: 0 },
+                        end: { line: 1, column: 10 }
+                    }
+                },
+                fnMap: {},
+                branchMap: {},
+                s: { 0: 1 },
+                f: {},
+                b: {}
+            }
+        };
+        const events = [
+            { type: "suiteStart", path: "src/shared/done.spec" },
+            { type: "suiteResult", path: "src/shared/done.spec", result },
+            {
+                type: "coverageCheckpoint",
+                data: zstdCompressSync(
+                    Buffer.from(JSON.stringify(coverage))
+                ).toString("base64")
+            },
+            { type: "suiteStart", path: "src/shared/hanging.spec" }
+        ];
+        const jsonPath = path.join(tempDir, "results.json");
+
+        const run = await runTests({
+            place: path.join(__dirname, "dummy", "demo_place.rbxl"),
+            project,
+            tsconfig,
+            timeout: "0.05s",
+            json: true,
+            outputFile: jsonPath,
+            coverageDirectory: path.join(tempDir, "coverage"),
+            backend: {
+                name: "hanging",
+                async run(script, context) {
+                    fs.writeFileSync(
+                        context.out,
+                        events
+                            .map(
+                                (event) =>
+                                    `${EVENT_START_MARKER}${JSON.stringify(event)}${EVENT_END_MARKER}\n`
+                            )
+                            .join("")
+                    );
+                    await new Promise((resolve) => setTimeout(resolve, 100));
+                    return 1;
+                }
+            }
+        });
+
+        expect(run.exitCode).toBe(1);
+        expect(run.results.wasInterrupted).toBe(true);
+        expect(run.results.numPassedTestSuites).toBe(1);
+        expect(run.results.numFailedTestSuites).toBe(2);
+        expect(run.results.numTotalTestSuites).toBe(3);
+        expect(run.results.testResults[1].failureMessage).toContain(
+            "exceeded the timeout of 0.05s"
+        );
+        // The suite that never started is listed as interrupted as well
+        expect(run.results.testResults[2].failureMessage).toContain(
+            "was not run because the run exceeded the timeout of 0.05s"
+        );
+        expect(Object.keys(run.coverage)).toHaveLength(1);
+        const json = JSON.parse(fs.readFileSync(jsonPath, "utf-8"));
+        expect(json.wasInterrupted).toBe(true);
+        expect(
+            json.testResults.map((suite) => [
+                path.basename(suite.name),
+                suite.status
+            ])
+        ).toEqual([
+            ["done.spec.luau", "passed"],
+            ["hanging.spec.luau", "failed"],
+            ["queued.spec.luau", "failed"]
+        ]);
+        expect(consoleWarnSpy).toHaveBeenCalledWith(
+            "1 test suite(s) were not run before the timeout."
+        );
+
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        stdOutSpy.mockRestore();
+        stdErrSpy.mockRestore();
+        consoleWarnSpy.mockRestore();
+    });
+
+    it("should name the test that was running when the run stalled", async () => {
+        const stdOutSpy = jest
+            .spyOn(process.stdout, "write")
+            .mockImplementation(() => {});
+        const stdErrSpy = jest
+            .spyOn(process.stderr, "write")
+            .mockImplementation(() => {});
+        const consoleWarnSpy = jest
+            .spyOn(console, "warn")
+            .mockImplementation(() => {});
+
+        const { tempDir, project, tsconfig } = createCompiledProject([
+            "shared/round"
+        ]);
+        const suitePath = path.join(tempDir, "out", "shared", "round.spec.luau");
+        fs.writeFileSync(
+            suitePath,
+            [
+                'describe("round", function()',
+                '    it("waits for the players", function()',
+                "        task.wait(1)",
+                "    end)",
+                "end)",
+                ""
+            ].join("\n")
+        );
+        const events = [
+            { type: "suiteStart", path: "src/shared/round.spec" },
+            {
+                type: "heartbeat",
+                path: "src/shared/round.spec",
+                test: "round waits for the players",
+                title: "waits for the players",
+                elapsed: 4.6
+            },
+            {
+                type: "heartbeat",
+                path: "src/shared/round.spec",
+                test: "round waits for the players",
+                title: "waits for the players",
+                elapsed: 9.6
+            }
+        ];
+
+        await runTests({
+            place: path.join(__dirname, "dummy", "demo_place.rbxl"),
+            project,
+            tsconfig,
+            timeout: "0.05s",
+            backend: {
+                name: "hanging",
+                async run(script, context) {
+                    fs.writeFileSync(
+                        context.out,
+                        events
+                            .map(
+                                (event) =>
+                                    `${EVENT_START_MARKER}${JSON.stringify(event)}${EVENT_END_MARKER}\n`
+                            )
+                            .join("")
+                    );
+                    await new Promise((resolve) => setTimeout(resolve, 100));
+                    return 1;
+                }
+            }
+        });
+
+        const warnings = consoleWarnSpy.mock.calls.map(([message]) => message);
+        const stalled = warnings.filter((message) =>
+            String(message).startsWith("Last running test:")
+        );
+        expect(stalled).toEqual([
+            "Last running test: round waits for the players (out/shared/round.spec.luau:2:5), running for at least 10s"
+        ]);
+
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        stdOutSpy.mockRestore();
+        stdErrSpy.mockRestore();
+        consoleWarnSpy.mockRestore();
+    });
+
+    it("should only run the tests that failed in the last run with --onlyFailures", async () => {
+        const stdOutSpy = jest
+            .spyOn(process.stdout, "write")
+            .mockImplementation(() => {});
+        const stdErrSpy = jest
+            .spyOn(process.stderr, "write")
+            .mockImplementation(() => {});
+        const consoleLogSpy = jest
+            .spyOn(console, "log")
+            .mockImplementation(() => {});
+
+        const { tempDir, project, tsconfig } = createCompiledProject([
+            "shared/math",
+            "shared/strings"
+        ]);
+        const suiteResult = (name, statuses) => ({
+            testFilePath: `src/shared/${name}.spec`,
+            numFailingTests: statuses.filter((s) => s === "failed").length,
+            numPassingTests: statuses.filter((s) => s === "passed").length,
+            numPendingTests: 0,
+            numTodoTests: 0,
+            perfStats: { runtime: 1, start: 0, end: 1 },
+            snapshot: { added: 0, matched: 0, unmatched: 0, updated: 0 },
+            testResults: statuses.map((status, index) => ({
+                title: `case (${index})`,
+                fullName: `${name} case (${index})`,
+                ancestorTitles: [name],
+                status,
+                failureMessages: status === "failed" ? ["expected failure"] : []
+            }))
+        });
+        const writeLog = (suites) => {
+            const logPath = path.join(tempDir, "output.log");
+            const failed = suites.filter((suite) => suite.numFailingTests > 0);
+            fs.writeFileSync(
+                logPath,
+                "__JEST_RESULT_START__\n" +
+                    JSON.stringify({
+                        resolveSuccess: true,
+                        results: {
+                            numFailedTestSuites: failed.length,
+                            numPassedTestSuites: suites.length - failed.length,
+                            numTotalTestSuites: suites.length,
+                            success: failed.length === 0,
+                            testResults: suites
+                        }
+                    })
+            );
+            return logPath;
+        };
+
+        const jestOptionsSeen = [];
+        const run = (log, options = {}) =>
+            runTests({
+                place: path.join(__dirname, "dummy", "demo_place.rbxl"),
+                project,
+                tsconfig,
+                backend: createFixtureBackend(({ jestOptions }) => {
+                    jestOptionsSeen.push(jestOptions);
+                    return log;
+                }),
+                ...options
+            });
+
+        await run(
+            writeLog([
+                suiteResult("math", ["passed", "failed"]),
+                suiteResult("strings", ["passed"])
+            ])
+        );
+        const result = await run(
+            writeLog([suiteResult("math", ["pending", "passed"])]),
+            { onlyFailures: true }
+        );
+
+        const { testPathPattern, testNamePattern, onlyFailures } =
+            jestOptionsSeen[1];
+        expect(onlyFailures).toBeUndefined();
+        expect(new RegExp(testPathPattern).test("src/shared/math.spec")).toBe(
+            true
+        );
+        expect(
+            new RegExp(testPathPattern).test("src/shared/strings.spec")
+        ).toBe(false);
+        expect(new RegExp(testNamePattern).test("math case (1)")).toBe(true);
+        expect(new RegExp(testNamePattern).test("math case (0)")).toBe(false);
+        expect(result.exitCode).toBe(0);
+
+        // The failure passed, so there is nothing left to run
+        const rerun = await run(writeLog([]), { onlyFailures: true });
+        expect(rerun.exitCode).toBe(0);
+        expect(jestOptionsSeen).toHaveLength(2);
+        expect(consoleLogSpy).toHaveBeenCalledWith(
+            "No failed tests found in the last run."
+        );
+
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        stdOutSpy.mockRestore();
+        stdErrSpy.mockRestore();
+        consoleLogSpy.mockRestore();
+    });
+
+    it("should retry failed tests and report the ones that pass as flaky", async () => {
+        const stdOutSpy = jest
+            .spyOn(process.stdout, "write")
+            .mockImplementation(() => {});
+        const stdErrSpy = jest
+            .spyOn(process.stderr, "write")
+            .mockImplementation(() => {});
+        const consoleLogSpy = jest
+            .spyOn(console, "log")
+            .mockImplementation(() => {});
+
+        const { tempDir, project, tsconfig } = createCompiledProject([
+            "shared/round",
+            "shared/score"
+        ]);
+        const suiteResult = (name, statuses) => ({
+            testFilePath: `src/shared/${name}.spec`,
+            numFailingTests: statuses.filter((s) => s === "failed").length,
+            numPassingTests: statuses.filter((s) => s === "passed").length,
+            numPendingTests: statuses.filter((s) => s === "pending").length,
+            numTodoTests: 0,
+            perfStats: { runtime: 1, start: 0, end: 1 },
+            snapshot: { added: 0, matched: 0, unmatched: 0, updated: 0 },
+            failureMessage: statuses.includes("failed") ? "failed" : null,
+            testResults: statuses.map((status, index) => ({
+                title: `case (${index})`,
+                fullName: `${name} case (${index})`,
+                ancestorTitles: [name],
+                status,
+                invocations: 1,
+                failureMessages:
+                    status === "failed" ? [`failure of ${index}`] : []
+            }))
+        });
+        const writeLog = (attempt, suites) => {
+            const logPath = path.join(tempDir, `output_${attempt}.log`);
+            const count = (key) =>
+                suites.reduce((total, suite) => total + suite[key], 0);
+            const failed = suites.filter((suite) => suite.numFailingTests > 0);
+            // Only the first run streams its suites; retries run without events
+            const events = attempt === 0 ? suites : [];
+            fs.writeFileSync(
+                logPath,
+                events
+                    .map(
+                        (result) =>
+                            `${EVENT_START_MARKER}${JSON.stringify({ type: "suiteResult", path: result.testFilePath, result })}${EVENT_END_MARKER}\n`
+                    )
+                    .join("") +
+                    "__JEST_RESULT_START__\n" +
+                    JSON.stringify({
+                        resolveSuccess: true,
+                        results: {
+                            numFailedTests: count("numFailingTests"),
+                            numPassedTests: count("numPassingTests"),
+                            numFailedTestSuites: failed.length,
+                            numPassedTestSuites: suites.length - failed.length,
+                            numRuntimeErrorTestSuites: 0,
+                            numTotalTestSuites: suites.length,
+                            success: failed.length === 0,
+                            testResults: suites
+                        }
+                    })
+            );
+            return logPath;
+        };
+        const logs = [
+            writeLog(0, [
+                suiteResult("round", ["passed", "failed", "failed"]),
+                suiteResult("score", ["passed"])
+            ]),
+            writeLog(1, [suiteResult("round", ["pending", "passed", "failed"])]),
+            writeLog(2, [suiteResult("round", ["pending", "pending", "failed"])])
+        ];
+
+        // Records every suite result handed to reporters
+        const reportedPath = path.join(tempDir, "reported.log");
+        const reporterPath = path.join(tempDir, "reporter.mjs");
+        fs.writeFileSync(
+            reporterPath,
+            [
+                'import fs from "fs";',
+                "export default class {",
+                "    constructor(globalConfig, options) { this.out = options.out; }",
+                "    onTestFileResult(test, testResult) {",
+                "        const failed = testResult.testResults.filter((t) => t.status === \"failed\").length;",
+                "        fs.appendFileSync(this.out, `${test.path} ${failed}\\n`);",
+                "    }",
+                "}"
+            ].join("\n")
+        );
+
+        const jestOptionsSeen = [];
+        const run = await runTests({
+            place: path.join(__dirname, "dummy", "demo_place.rbxl"),
+            project,
+            tsconfig,
+            retryFailed: 2,
+            reporters: [[reporterPath, { out: reportedPath }]],
+            backend: createFixtureBackend(({ jestOptions }) => {
+                jestOptionsSeen.push(jestOptions);
+                return logs[jestOptionsSeen.length - 1];
+            })
+        });
+
+        expect(jestOptionsSeen).toHaveLength(3);
+        expect(jestOptionsSeen[0].retryFailed).toBeUndefined();
+        const retryPattern = new RegExp(jestOptionsSeen[1].testPathPattern);
+        expect(retryPattern.test("src/shared/round.spec")).toBe(true);
+        expect(retryPattern.test("src/shared/score.spec")).toBe(false);
+        const namePattern = new RegExp(jestOptionsSeen[1].testNamePattern);
+        expect(namePattern.test("round case (1)")).toBe(true);
+        expect(namePattern.test("round case (0)")).toBe(false);
+        expect(
+            new RegExp(jestOptionsSeen[2].testNamePattern).test("round case (1)")
+        ).toBe(false);
+
+        expect(run.exitCode).toBe(1);
+        expect(run.results.numFailedTests).toBe(1);
+        expect(run.results.numPassedTests).toBe(3);
+        const [, flaky, failing] = run.results.testResults[0].testResults;
+        expect(flaky.status).toBe("passed");
+        expect(flaky.invocations).toBe(2);
+        expect(flaky.retryReasons).toEqual(["failure of 1"]);
+        expect(failing.status).toBe("failed");
+        expect(failing.invocations).toBe(3);
+        expect(failing.retryReasons).toEqual(["failure of 2", "failure of 2"]);
+        expect(consoleLogSpy).toHaveBeenCalledWith(
+            "1 flaky test(s) passed on retry:"
+        );
+        // The retried suite is reported once, after its retries
+        expect(
+            fs.readFileSync(reportedPath, "utf-8").trim().split("\n")
+        ).toEqual([
+            `${path.join(tempDir, "out", "shared", "score.spec.luau")} 0`,
+            `${path.join(tempDir, "out", "shared", "round.spec.luau")} 1`
+        ]);
+
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        stdOutSpy.mockRestore();
+        stdErrSpy.mockRestore();
+        consoleLogSpy.mockRestore();
+    });
+
+    it("should only run suites that depend on changed files with --onlyChanged", async () => {
+        const stdOutSpy = jest
+            .spyOn(process.stdout, "write")
+            .mockImplementation(() => {});
+        const stdErrSpy = jest
+            .spyOn(process.stderr, "write")
+            .mockImplementation(() => {});
+        const consoleLogSpy = jest
+            .spyOn(console, "log")
+            .mockImplementation(() => {});
+
+        const { tempDir, project, tsconfig } = createCompiledProject([
+            "combat/melee",
+            "ui/menu"
+        ]);
+        const outDir = path.join(tempDir, "out");
+        fs.writeFileSync(path.join(outDir, "combat", "damage.luau"), "");
+        fs.writeFileSync(
+            path.join(outDir, "combat", "melee.spec.luau"),
+            "local damage = require(script.Parent.damage)"
+        );
+        const git = (...args) =>
+            execFileSync(
+                "git",
+                ["-c", "user.name=test", "-c", "user.email=test@example.com", ...args],
+                { cwd: tempDir, stdio: "pipe" }
+            );
+        git("init", "-q");
+        git("add", "-A");
+        git("commit", "-q", "-m", "initial");
+
+        const patterns = [];
+        const run = () =>
+            runTests({
+                place: path.join(__dirname, "dummy", "demo_place.rbxl"),
+                project,
+                tsconfig,
+                onlyChanged: true,
+                backend: createFixtureBackend(({ jestOptions }) => {
+                    patterns.push(jestOptions.testPathPattern);
+                    return path.join(__dirname, "dummy", "demo_default_output.txt");
+                })
+            });
+
+        const unchanged = await run();
+        expect(unchanged.exitCode).toBe(0);
+        expect(patterns).toHaveLength(0);
+        expect(consoleLogSpy).toHaveBeenCalledWith(
+            "No tests found related to files changed since last commit."
+        );
+
+        fs.writeFileSync(
+            path.join(outDir, "combat", "damage.luau"),
+            "return 10"
+        );
+        await run();
+        expect(patterns).toHaveLength(1);
+        expect(new RegExp(patterns[0]).test("src/combat/melee.spec")).toBe(
+            true
+        );
+        expect(new RegExp(patterns[0]).test("src/ui/menu.spec")).toBe(false);
+
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        stdOutSpy.mockRestore();
+        stdErrSpy.mockRestore();
+        consoleLogSpy.mockRestore();
+    });
+
+    it("should only run suites that depend on the given files with --findRelatedTests", async () => {
+        const stdOutSpy = jest
+            .spyOn(process.stdout, "write")
+            .mockImplementation(() => {});
+        const stdErrSpy = jest
+            .spyOn(process.stderr, "write")
+            .mockImplementation(() => {});
+        const consoleLogSpy = jest
+            .spyOn(console, "log")
+            .mockImplementation(() => {});
+
+        const { tempDir, project, tsconfig } = createCompiledProject([
+            "shared/format",
+            "ui/menu"
+        ]);
+        const outDir = path.join(tempDir, "out");
+        fs.writeFileSync(path.join(outDir, "shared", "strings.luau"), "");
+        fs.writeFileSync(path.join(outDir, "shared", "unused.luau"), "");
+        fs.writeFileSync(
+            path.join(outDir, "ui", "menu.spec.luau"),
+            `local strings = TS.import(script, script.Parent.Parent, "shared", "strings")`
+        );
+
+        const patterns = [];
+        const run = (files) =>
+            runTests({
+                place: path.join(__dirname, "dummy", "demo_place.rbxl"),
+                project,
+                tsconfig,
+                findRelatedTests: files,
+                backend: createFixtureBackend(({ jestOptions }) => {
+                    patterns.push(jestOptions.testPathPattern);
+                    return path.join(__dirname, "dummy", "demo_default_output.txt");
+                })
+            });
+
+        await run([path.join(outDir, "shared", "strings.luau")]);
+        expect(patterns).toHaveLength(1);
+        expect(new RegExp(patterns[0]).test("src/ui/menu.spec")).toBe(true);
+        expect(new RegExp(patterns[0]).test("src/shared/format.spec")).toBe(
+            false
+        );
+
+        const unrelated = await run([path.join(outDir, "shared", "unused.luau")]);
+        expect(unrelated.exitCode).toBe(1);
+        expect(patterns).toHaveLength(1);
+        expect(consoleLogSpy).toHaveBeenCalledWith(
+            expect.stringContaining("No tests found related to")
+        );
+
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        stdOutSpy.mockRestore();
+        stdErrSpy.mockRestore();
+        consoleLogSpy.mockRestore();
+    });
+
+    it("should sync snapshot files between the run and the test sources", async () => {
+        const stdOutSpy = jest
+            .spyOn(process.stdout, "write")
+            .mockImplementation(() => {});
+        const stdErrSpy = jest
+            .spyOn(process.stderr, "write")
+            .mockImplementation(() => {});
+
+        const { tempDir, project, tsconfig } = createCompiledProject([
+            "combat/melee",
+            "ui/menu"
+        ]);
+        const outDir = path.join(tempDir, "out");
+        const meleeSnapshot = path.join(
+            outDir,
+            "combat",
+            "__snapshots__",
+            "melee.spec.snap.lua"
+        );
+        const obsoleteSnapshot = path.join(
+            outDir,
+            "combat",
+            "__snapshots__",
+            "ranged.spec.snap.lua"
+        );
+        fs.mkdirSync(path.dirname(meleeSnapshot));
+        fs.writeFileSync(
+            meleeSnapshot,
+            "local exports = {}\nexports[ [=[damage 1]=] ] = [=[\n10]=]\n\nreturn exports\n"
+        );
+        fs.writeFileSync(obsoleteSnapshot, "return {}\n");
+
+        const recorded = fs.readFileSync(
+            path.join(__dirname, "dummy", "demo_default_output.txt"),
+            "utf-8"
+        );
+        const [output, payload] = recorded.split("__JEST_RESULT_START__");
+        const runPayload = JSON.parse(payload);
+        runPayload.snapshotFiles = [
+            {
+                testPath: "ReplicatedStorage/src/ui/menu.spec",
+                snapshots: { "menu 1": "open" }
+            }
+        ];
+        const scripts = [];
+        const run = (updateSnapshot) =>
+            runTests({
+                place: path.join(__dirname, "dummy", "demo_place.rbxl"),
+                project,
+                tsconfig,
+                updateSnapshot,
+                backend: {
+                    name: "snapshots",
+                    async run(script, context) {
+                        scripts.push(script);
+                        fs.writeFileSync(
+                            context.out,
+                            `${output}__JEST_RESULT_START__\n${JSON.stringify(runPayload)}`
+                        );
+                        return 0;
+                    }
+                }
+            });
+
+        const result = await run(false);
+        expect(scripts[0]).toContain(
+            JSON.stringify({
+                "ReplicatedStorage/src/combat/melee.spec": { "damage 1": "10" }
+            })
+        );
+        expect(
+            fs.readFileSync(
+                path.join(outDir, "ui", "__snapshots__", "menu.spec.snap.lua"),
+                "utf-8"
+            )
+        ).toContain("exports[ [=[menu 1]=] ] = [=[\nopen]=]");
+        expect(result.results.snapshot.filesRemovedList).toEqual([
+            obsoleteSnapshot
+        ]);
+        expect(fs.existsSync(obsoleteSnapshot)).toBe(true);
+
+        const updated = await run(true);
+        expect(updated.results.snapshot.didUpdate).toBe(true);
+        expect(fs.existsSync(obsoleteSnapshot)).toBe(false);
+
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        stdOutSpy.mockRestore();
+        stdErrSpy.mockRestore();
+    });
+
     it("should run tests with valid --place file", async () => {
         const requiredMatches = [
             "demo/src/__tests__/add.spec.ts",
@@ -290,6 +1791,7 @@ describe("runJestRoblox.js", () => {
             place: path.join(__dirname, "dummy", "demo_place.rbxl"),
             project: path.join(__dirname, "..", "demo", "default.project.json"),
             tsconfig: path.join(__dirname, "..", "demo", "tsconfig.json"),
+            backend: fixtureBackend,
         });
         expect(exitCode).toBe(1); // The demo tests are designed to fail
 
@@ -0,0 +1,46 @@
+import { describe, expect, it } from "@jest/globals";
+import { parseShard, selectShard } from "../src/shard.js";
+
+describe("shard.js", () => {
+    describe("parseShard", () => {
+        it("should parse an index and count", () => {
+            expect(parseShard("2/3")).toEqual({ shardIndex: 2, shardCount: 3 });
+        });
+
+        it("should reject malformed values", () => {
+            expect(() => parseShard("2")).toThrow("<index>/<count>");
+            expect(() => parseShard("a/b")).toThrow("<index>/<count>");
+        });
+
+        it("should reject an index outside the count", () => {
+            expect(() => parseShard("0/3")).toThrow("between 1 and 3");
+            expect(() => parseShard("4/3")).toThrow("between 1 and 3");
+            expect(() => parseShard("1/0")).toThrow("positive");
+        });
+    });
+
+    describe("selectShard", () => {
+        const suites = Array.from(
+            { length: 10 },
+            (_, i) => `src/__tests__/suite${i}.spec.ts`,
+        );
+        const identity = (suite) => suite;
+
+        it("should assign every suite to exactly one shard", () => {
+            const shards = [1, 2, 3].map((shardIndex) =>
+                selectShard(suites, { shardIndex, shardCount: 3 }, identity),
+            );
+
+            expect(shards.map((shard) => shard.length)).toEqual([4, 4, 2]);
+            expect(shards.flat().sort()).toEqual([...suites].sort());
+        });
+
+        it("should not depend on the input order", () => {
+            const shard = { shardIndex: 2, shardCount: 3 };
+
+            expect(selectShard([...suites].reverse(), shard, identity)).toEqual(
+                selectShard(suites, shard, identity),
+            );
+        });
+    });
+});
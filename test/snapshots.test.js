@@ -0,0 +1,175 @@
+import { describe, expect, it } from "@jest/globals";
+import fs from "fs";
+import path from "path";
+import {
+    findObsoleteSnapshotFiles,
+    getSnapshotFilePath,
+    parseSnapshotFile,
+    readLocalSnapshots,
+    serializeSnapshotFile,
+    writeSnapshotFiles,
+} from "../src/snapshots.js";
+import { createTempDir } from "./helpers.js";
+
+const SNAPSHOT_FILE = `-- Jest Roblox Snapshot v1, http://roblox.github.io/jest-roblox-internal/snapshot-testing
+local exports = {}
+exports[ [=[damage 2]=] ] = [=[
+20]=]
+
+exports[ [=[damage 10]=] ] = [=[
+
+Object {
+  "amount": 100,
+}
+]=]
+
+return exports
+`;
+
+/**
+ * Creates a roblox-ts style module path map in a temporary directory, with the test
+ * sources in `src` and the compiled Luau in `out`.
+ * @param {string[]} suites The test files to create, relative to `src` and without extension.
+ * @returns {{ tempDir: string, modulePathMap: Map<string, object> }} The directory and the map.
+ */
+function createModulePathMap(suites) {
+    const tempDir = createTempDir(
+        Object.fromEntries(suites.map((suite) => [`src/${suite}.spec.ts`, ""])),
+    );
+    const modulePathMap = new Map();
+    for (const suite of suites) {
+        const sourcePath = path.join(tempDir, "src", `${suite}.spec.ts`);
+        const instancePath = `ReplicatedStorage/src/${suite}.spec`;
+        modulePathMap.set(instancePath.replace(/\//g, "."), {
+            luauPath: path.join(tempDir, "out", `${suite}.spec.luau`),
+            sourcePath,
+            className: "ModuleScript",
+            instancePath,
+        });
+    }
+    return { tempDir, modulePathMap };
+}
+
+describe("snapshots.js", () => {
+    it("should read and write snapshot files like Jest Roblox", () => {
+        const snapshots = parseSnapshotFile(SNAPSHOT_FILE);
+
+        expect(snapshots).toEqual({
+            "damage 2": "20",
+            "damage 10": '\nObject {\n  "amount": 100,\n}\n',
+        });
+        expect(serializeSnapshotFile(snapshots)).toBe(SNAPSHOT_FILE);
+        expect(parseSnapshotFile(SNAPSHOT_FILE.replace(/\n/g, "\r\n"))).toEqual(
+            snapshots,
+        );
+    });
+
+    it("should keep snapshot files next to the test sources", () => {
+        const { tempDir, modulePathMap } = createModulePathMap([
+            "combat/melee",
+        ]);
+        const entry = modulePathMap.get(
+            "ReplicatedStorage.src.combat.melee.spec",
+        );
+        const snapshotDir = path.join(
+            tempDir,
+            "src",
+            "combat",
+            "__snapshots__",
+        );
+
+        expect(getSnapshotFilePath(entry)).toBe(
+            path.join(snapshotDir, "melee.spec.snap.lua"),
+        );
+
+        fs.mkdirSync(snapshotDir);
+        fs.writeFileSync(
+            path.join(snapshotDir, "melee.spec.snap.luau"),
+            SNAPSHOT_FILE,
+        );
+        expect(getSnapshotFilePath(entry)).toBe(
+            path.join(snapshotDir, "melee.spec.snap.luau"),
+        );
+        expect(readLocalSnapshots(modulePathMap)).toEqual({
+            "ReplicatedStorage/src/combat/melee.spec":
+                parseSnapshotFile(SNAPSHOT_FILE),
+        });
+
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("should write and remove the files returned by the runtime", () => {
+        const { tempDir, modulePathMap } = createModulePathMap([
+            "combat/melee",
+            "ui/menu",
+        ]);
+        const menuSnapshot = path.join(
+            tempDir,
+            "src",
+            "ui",
+            "__snapshots__",
+            "menu.spec.snap.lua",
+        );
+        fs.mkdirSync(path.dirname(menuSnapshot));
+        fs.writeFileSync(menuSnapshot, SNAPSHOT_FILE);
+
+        const status = writeSnapshotFiles(
+            [
+                {
+                    testPath: "ReplicatedStorage/src/combat/melee.spec",
+                    snapshots: { "damage 2": "20" },
+                },
+                {
+                    testPath: "ReplicatedStorage/src/ui/menu.spec",
+                    removed: true,
+                },
+                {
+                    testPath: "ReplicatedStorage/src/missing.spec",
+                    snapshots: {},
+                },
+            ],
+            modulePathMap,
+        );
+
+        const meleeSnapshot = path.join(
+            tempDir,
+            "src",
+            "combat",
+            "__snapshots__",
+            "melee.spec.snap.lua",
+        );
+        expect(status).toEqual({
+            written: [meleeSnapshot],
+            removed: [menuSnapshot],
+            unresolved: ["ReplicatedStorage/src/missing.spec"],
+        });
+        expect(
+            parseSnapshotFile(fs.readFileSync(meleeSnapshot, "utf-8")),
+        ).toEqual({ "damage 2": "20" });
+        expect(fs.existsSync(menuSnapshot)).toBe(false);
+
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("should find snapshot files of tests that no longer exist", () => {
+        const { tempDir, modulePathMap } = createModulePathMap([
+            "combat/melee",
+        ]);
+        const snapshotDir = path.join(
+            tempDir,
+            "src",
+            "combat",
+            "__snapshots__",
+        );
+        fs.mkdirSync(snapshotDir);
+        for (const file of ["melee.spec.snap.lua", "ranged.spec.snap.lua"]) {
+            fs.writeFileSync(path.join(snapshotDir, file), SNAPSHOT_FILE);
+        }
+
+        expect(findObsoleteSnapshotFiles(modulePathMap)).toEqual([
+            path.join(snapshotDir, "ranged.spec.snap.lua"),
+        ]);
+
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+});
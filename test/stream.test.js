@@ -0,0 +1,182 @@
+import { afterEach, describe, expect, it } from "@jest/globals";
+import fs from "fs";
+import path from "path";
+import {
+    adler32,
+    assemblePayloadChunks,
+    EVENT_END_MARKER,
+    EVENT_START_MARKER,
+    LogTailer,
+    parseEventFrames,
+    stripEventFrames,
+} from "../src/stream.js";
+import { createTempDir } from "./helpers.js";
+
+const frame = (event) =>
+    `${EVENT_START_MARKER}${JSON.stringify(event)}${EVENT_END_MARKER}\n`;
+
+describe("stream.js", () => {
+    describe("parseEventFrames", () => {
+        it("should decode complete frames in order", () => {
+            const text =
+                "some output\n" +
+                frame({ type: "suiteStart", path: "a.spec" }) +
+                "more output\n" +
+                frame({ type: "suiteResult", path: "a.spec" });
+
+            const { events, rest } = parseEventFrames(text);
+
+            expect(events).toEqual([
+                { type: "suiteStart", path: "a.spec" },
+                { type: "suiteResult", path: "a.spec" },
+            ]);
+            expect(rest).not.toContain(EVENT_START_MARKER);
+        });
+
+        it("should keep an incomplete frame for the next read", () => {
+            const complete = frame({ type: "suiteStart", path: "a.spec" });
+            const partial = `${EVENT_START_MARKER}{"type":"suiteRes`;
+
+            const { events, rest } = parseEventFrames(complete + partial);
+
+            expect(events).toHaveLength(1);
+            expect(rest).toBe(partial);
+        });
+
+        it("should keep a partially written start marker", () => {
+            const { events, rest } = parseEventFrames(
+                "output\n" + EVENT_START_MARKER.slice(0, 8),
+            );
+
+            expect(events).toHaveLength(0);
+            expect(rest).toContain(EVENT_START_MARKER.slice(0, 8));
+        });
+
+        it("should skip malformed frames", () => {
+            const text =
+                `${EVENT_START_MARKER}{not json${EVENT_END_MARKER}\n` +
+                frame({ type: "suiteStart", path: "b.spec" });
+
+            const { events } = parseEventFrames(text);
+
+            expect(events).toEqual([{ type: "suiteStart", path: "b.spec" }]);
+        });
+    });
+
+    describe("stripEventFrames", () => {
+        it("should remove frames and keep regular output", () => {
+            const text =
+                "before\n" +
+                frame({ type: "suiteStart", path: "a.spec" }) +
+                "after\n";
+
+            expect(stripEventFrames(text)).toBe("before\nafter\n");
+        });
+
+        it("should return text without frames unchanged", () => {
+            expect(stripEventFrames("plain output")).toBe("plain output");
+        });
+    });
+
+    describe("adler32", () => {
+        it("should match the reference checksum", () => {
+            expect(adler32(Buffer.from("Wikipedia"))).toBe(0x11e60398);
+            expect(adler32(Buffer.alloc(0))).toBe(1);
+        });
+    });
+
+    describe("assemblePayloadChunks", () => {
+        const payload = Buffer.from("a payload that is split into chunks");
+        const chunkEvents = [0, 12, 24].map((offset, i) => {
+            const data = payload.subarray(offset, offset + 12);
+            return {
+                type: "payloadChunk",
+                index: i + 1,
+                count: 3,
+                checksum: adler32(data),
+                data: data.toString("base64"),
+            };
+        });
+        const manifest = {
+            count: 3,
+            size: payload.length,
+            checksum: adler32(payload),
+        };
+
+        it("should reassemble chunks in sequence order", () => {
+            const events = [
+                { type: "suiteStart", path: "a.spec" },
+                chunkEvents[2],
+                chunkEvents[0],
+                chunkEvents[1],
+            ];
+
+            expect(assemblePayloadChunks(events, manifest)).toEqual(payload);
+        });
+
+        it("should reject a missing chunk", () => {
+            expect(() =>
+                assemblePayloadChunks(
+                    [chunkEvents[0], chunkEvents[2]],
+                    manifest,
+                ),
+            ).toThrow("Missing result chunk 2 of 3");
+        });
+
+        it("should reject a corrupted chunk", () => {
+            const corrupted = {
+                ...chunkEvents[1],
+                data: Buffer.from("corrupted!!!").toString("base64"),
+            };
+
+            expect(() =>
+                assemblePayloadChunks(
+                    [chunkEvents[0], corrupted, chunkEvents[2]],
+                    manifest,
+                ),
+            ).toThrow("Checksum mismatch in result chunk 2 of 3");
+        });
+
+        it("should reject a payload that does not match the manifest", () => {
+            expect(() =>
+                assemblePayloadChunks(chunkEvents, {
+                    ...manifest,
+                    checksum: manifest.checksum + 1,
+                }),
+            ).toThrow("does not match its checksum");
+        });
+    });
+
+    describe("LogTailer", () => {
+        const tempDir = createTempDir();
+        const logPath = path.join(tempDir, "output.log");
+
+        afterEach(() => {
+            fs.rmSync(logPath, { force: true });
+        });
+
+        it("should emit events as the log grows", () => {
+            const events = [];
+            const tailer = new LogTailer(logPath, (event) =>
+                events.push(event),
+            );
+
+            // Missing files are ignored until they are created
+            tailer.poll();
+            expect(events).toHaveLength(0);
+
+            const first = frame({ type: "suiteStart", path: "a.spec" });
+            const second = frame({ type: "suiteResult", path: "a.spec" });
+            fs.writeFileSync(logPath, first + second.slice(0, 10));
+            tailer.poll();
+            expect(events).toEqual([{ type: "suiteStart", path: "a.spec" }]);
+
+            fs.appendFileSync(logPath, second.slice(10));
+            tailer.stop();
+            expect(events).toEqual([
+                { type: "suiteStart", path: "a.spec" },
+                { type: "suiteResult", path: "a.spec" },
+            ]);
+        });
+    });
+});
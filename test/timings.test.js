@@ -0,0 +1,100 @@
+import { describe, expect, it } from "@jest/globals";
+import fs from "fs";
+import path from "path";
+import {
+    loadTimings,
+    partitionByDuration,
+    recordTimings,
+} from "../src/timings.js";
+import { createTempDir } from "./helpers.js";
+
+describe("timings.js", () => {
+    describe("partitionByDuration", () => {
+        it("should spread slow suites across workers", () => {
+            const durations = { slow1: 900, slow2: 800, fast1: 100, fast2: 50 };
+            const workers = partitionByDuration(
+                ["slow1", "slow2", "fast1", "fast2"],
+                2,
+                (suite) => durations[suite],
+            );
+
+            expect(workers).toEqual([
+                ["slow1", "fast2"],
+                ["slow2", "fast1"],
+            ]);
+        });
+
+        it("should assume the average duration for suites without history", () => {
+            const durations = { a: 300, b: 100 };
+            const workers = partitionByDuration(
+                ["a", "b", "new1", "new2"],
+                2,
+                (suite) => durations[suite],
+            );
+
+            // The new suites count as 200ms each
+            expect(workers).toEqual([
+                ["a", "b"],
+                ["new1", "new2"],
+            ]);
+        });
+
+        it("should not create more workers than suites", () => {
+            const workers = partitionByDuration(["a", "b"], 8, () => undefined);
+
+            expect(workers).toEqual([["a"], ["b"]]);
+        });
+    });
+
+    describe("recordTimings", () => {
+        it("should store the runtime of suites that ran", () => {
+            const tempDir = createTempDir();
+            const ranPath = path.join(tempDir, "ran.spec.ts");
+            const failedPath = path.join(tempDir, "failed.spec.ts");
+
+            recordTimings(tempDir, [
+                {
+                    testFilePath: ranPath,
+                    perfStats: { runtime: 42, start: 0, end: 42 },
+                },
+                {
+                    testFilePath: failedPath,
+                    testExecError: { message: "boom" },
+                    perfStats: { runtime: 0, start: 0, end: 0 },
+                },
+            ]);
+
+            const timings = loadTimings(tempDir);
+            expect(timings[ranPath]).toBe(42);
+            expect(timings[failedPath]).toBeUndefined();
+
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        it("should forget suites whose test file was deleted", () => {
+            const tempDir = createTempDir({
+                "kept.spec.ts": "",
+                "deleted.spec.ts": "",
+            });
+            const keptPath = path.join(tempDir, "kept.spec.ts");
+            const deletedPath = path.join(tempDir, "deleted.spec.ts");
+            const ranPath = path.join(tempDir, "ran.spec.ts");
+
+            recordTimings(tempDir, [
+                { testFilePath: keptPath, perfStats: { runtime: 10 } },
+                { testFilePath: deletedPath, perfStats: { runtime: 20 } },
+            ]);
+            fs.rmSync(deletedPath);
+            recordTimings(tempDir, [
+                { testFilePath: ranPath, perfStats: { runtime: 30 } },
+            ]);
+
+            const timings = loadTimings(tempDir);
+            expect(timings[keptPath]).toBe(10);
+            expect(timings[deletedPath]).toBeUndefined();
+            expect(timings[ranPath]).toBe(30);
+
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+    });
+});
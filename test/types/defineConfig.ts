@@ -0,0 +1,27 @@
+import { defineConfig, type JestRobloxOptions } from "../../src/index.js";
+
+// Options handled on the JS side
+defineConfig({ place: "test.rbxl", maxWorkers: 2, timeout: "5m" });
+
+// Roblox Jest options forwarded to the runtime
+defineConfig({
+    silent: true,
+    runInBand: true,
+    testRegex: ["\\.spec$"],
+    selectProjects: ["lobby"],
+    updateSnapshot: "all",
+});
+
+defineConfig({
+    projects: [{ place: "lobby.rbxl", displayName: "lobby", silent: true }],
+});
+
+// @ts-expect-error Unknown options are typos in a config file
+defineConfig({ silnt: true });
+
+// @ts-expect-error Options are checked against their type
+defineConfig({ silent: "yes" });
+
+// Options passed to runJestRoblox may forward any other option
+const options: JestRobloxOptions = { place: "test.rbxl", someFutureOption: 1 };
+void options;
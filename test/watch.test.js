@@ -0,0 +1,176 @@
+import { describe, expect, it, jest } from "@jest/globals";
+import { EventEmitter } from "events";
+import fs from "fs";
+import { resolveOptions } from "../src/config.js";
+import { WatchMenu } from "../src/watch.js";
+import { createTempDir } from "./helpers.js";
+
+/**
+ * Creates a watch menu that reads keys from a fake terminal.
+ * @param {object} filters The filters to start with.
+ * @returns {{ menu: WatchMenu, press: (keys: string) => void, runs: object[], output: string[], onQuit: Function }} The menu and its fakes.
+ */
+function createMenu(filters = {}) {
+    const stdin = Object.assign(new EventEmitter(), {
+        isTTY: true,
+        setRawMode: jest.fn(),
+        setEncoding: jest.fn(),
+        resume: jest.fn(),
+        pause: jest.fn(),
+    });
+    const output = [];
+    const stdout = { write: (text) => output.push(text) };
+    const runs = [];
+    const onQuit = jest.fn();
+    const menu = new WatchMenu({
+        filters,
+        onRun: (options, reason) => runs.push({ options, reason }),
+        onQuit,
+        stdin,
+        stdout,
+    });
+    menu.start();
+    const press = (keys) => stdin.emit("data", keys);
+    return { menu, press, runs, output, onQuit };
+}
+
+describe("watch.js", () => {
+    it("should keep filters across reruns", () => {
+        const { press, runs } = createMenu({ testPathPattern: "combat" });
+
+        press("t");
+        press("damage\r");
+        press("\r");
+
+        expect(runs).toHaveLength(2);
+        expect(runs[1].options).toEqual({
+            testPathPattern: "combat",
+            testNamePattern: "damage",
+        });
+    });
+
+    it("should keep the resolved onlyFailures until f is pressed", () => {
+        const { menu, press, runs, output } = createMenu({
+            onlyFailures: true,
+        });
+
+        expect(menu.getRunOptions().onlyFailures).toBeUndefined();
+        menu.printStatus();
+        expect(output.join("")).toContain("failed tests only");
+
+        press("\r");
+        expect(runs[0].options.onlyFailures).toBeUndefined();
+        press("f");
+        expect(runs[1].options.onlyFailures).toBe(false);
+    });
+
+    it("should edit, cancel and clear pattern prompts", () => {
+        const { menu, press, runs } = createMenu();
+
+        press("p");
+        press("uix\u007f");
+        press("\u001b");
+        expect(runs).toHaveLength(0);
+        expect(menu.getRunOptions().testPathPattern).toBeUndefined();
+
+        press("p");
+        press("ui\r");
+        expect(runs[0].options.testPathPattern).toBe("ui");
+
+        press("p");
+        press("\u007f\u007f\r");
+        expect(runs[1].options.testPathPattern).toBeNull();
+    });
+
+    it("should clear filters that come from the config file or the environment", async () => {
+        const cwd = createTempDir({
+            "jestrbx.config.json": JSON.stringify({ testPathPattern: "ui" }),
+        });
+        const env = { JEST_TEST_NAME_PATTERN: "damage" };
+        const resolve = async (runOptions) =>
+            (await resolveOptions(runOptions, { cwd, env })).options;
+        const { options } = await resolveOptions({}, { cwd, env });
+        const { menu, press, runs } = createMenu({
+            testPathPattern: options.testPathPattern,
+            testNamePattern: options.testNamePattern,
+        });
+
+        press("\r");
+        expect(await resolve(runs[0].options)).toMatchObject({
+            testPathPattern: "ui",
+            testNamePattern: "damage",
+        });
+
+        press("t");
+        press("\u007f".repeat(6) + "\r");
+        const cleared = await resolve(runs[1].options);
+        expect(cleared.testPathPattern).toBe("ui");
+        expect(cleared).not.toHaveProperty("testNamePattern");
+        expect(menu.describeFilters()).not.toContain("damage");
+
+        press("a");
+        const all = await resolve(runs[2].options);
+        expect(all).not.toHaveProperty("testPathPattern");
+        expect(all).not.toHaveProperty("testNamePattern");
+        expect(menu.describeFilters()).toBeUndefined();
+
+        fs.rmSync(cwd, { recursive: true, force: true });
+    });
+
+    it("should not apply an invalid pattern", () => {
+        const { menu, press, runs, output } = createMenu();
+
+        press("p");
+        press("(\r");
+
+        expect(runs).toHaveLength(0);
+        expect(menu.getRunOptions().testPathPattern).toBeUndefined();
+        expect(output.join("")).toContain("Invalid filename regex");
+    });
+
+    it("should toggle failed tests only and run all", () => {
+        const { press, runs } = createMenu({ testNamePattern: "damage" });
+
+        press("f");
+        expect(runs[0].options.onlyFailures).toBe(true);
+        press("f");
+        expect(runs[1].options.onlyFailures).toBe(false);
+        press("f");
+        press("a");
+        expect(runs[3].options).toEqual({
+            testPathPattern: null,
+            testNamePattern: null,
+            onlyFailures: false,
+        });
+    });
+
+    it("should update snapshots for a single run", () => {
+        const { menu, press, runs } = createMenu();
+
+        press("u");
+
+        expect(runs[0].options.updateSnapshot).toBe(true);
+        expect(menu.getRunOptions().updateSnapshot).toBeUndefined();
+    });
+
+    it("should quit with q and Ctrl+C", () => {
+        const { press, onQuit } = createMenu();
+
+        press("q");
+        press("\u0003");
+
+        expect(onQuit).toHaveBeenCalledTimes(2);
+    });
+
+    it("should show the active filters in the status line", () => {
+        const { menu, press, output } = createMenu({ testPathPattern: "ui" });
+
+        press("f");
+        menu.printStatus();
+
+        const status = output.join("");
+        expect(status).toContain("Active Filters:");
+        expect(status).toContain("/ui/");
+        expect(status).toContain("failed tests only");
+    });
+});